@@ -0,0 +1,228 @@
+/**
+ * Users, roles, sessions and sign-in throttling for the control API.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const util = require('util');
+const { writeJsonAtomic } = require('./persistence');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'pool_session';
+const PASSWORD_MIN_LENGTH = 8;
+const LOGIN_MAX_FAILURES = 5;          // failed sign-ins per client before it has to wait
+const LOGIN_LOCKOUT_MS = 15 * 60_000;  // failure window and wait
+
+class AuthStore {
+  constructor(filePath, sessionTtlMs = 7 * 24 * 60 * 60_000) {
+    this.filePath = filePath;
+    this.sessionTtlMs = sessionTtlMs;
+    this.users = new Map();    // username -> { username, role, passwordHash, tokens: [{ id, name, hash, createdAt }] }
+    this.sessions = new Map(); // session id -> { username, expires }
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    const list = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    list.forEach(user => this.users.set(user.username, { tokens: [], ...user }));
+  }
+
+  save() {
+    writeJsonAtomic(this.filePath, Array.from(this.users.values()));
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  static async checkPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  static checkNewPassword(password) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+      throw new Error(`password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+  }
+
+  // Public view of a user: never includes password or token hashes
+  static describe(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      tokens: user.tokens.map(t => ({ id: t.id, name: t.name, createdAt: t.createdAt })),
+    };
+  }
+
+  hasUsers() {
+    return this.users.size > 0;
+  }
+
+  listUsers() {
+    return Array.from(this.users.values()).map(AuthStore.describe);
+  }
+
+  async createUser(username, password, role) {
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{1,32}$/.test(username)) {
+      throw new Error('username must be 1-32 letters, digits, dots, dashes or underscores');
+    }
+    if (this.users.has(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+    AuthStore.checkNewPassword(password);
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = { username, role, passwordHash: await AuthStore.hashPassword(password), tokens: [] };
+    this.users.set(username, user);
+    this.save();
+    return AuthStore.describe(user);
+  }
+
+  // Replace a password and end the user's other sessions
+  async setPassword(username, password, keepSessionId = null) {
+    const user = this.users.get(username);
+    if (!user) return false;
+    AuthStore.checkNewPassword(password);
+    user.passwordHash = await AuthStore.hashPassword(password);
+    for (const [id, session] of this.sessions) {
+      if (session.username === username && id !== keepSessionId) this.sessions.delete(id);
+    }
+    this.save();
+    return true;
+  }
+
+  deleteUser(username) {
+    if (!this.users.delete(username)) return false;
+    for (const [id, session] of this.sessions) {
+      if (session.username === username) this.sessions.delete(id);
+    }
+    this.save();
+    return true;
+  }
+
+  async verifyPassword(username, password) {
+    const user = this.users.get(username);
+    if (!user || typeof password !== 'string') return null;
+    return (await AuthStore.checkPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  // Returns the plaintext token once; only its hash is stored
+  createToken(username, name) {
+    const user = this.users.get(username);
+    if (!user) return null;
+    const token = `pool_${crypto.randomBytes(24).toString('hex')}`;
+    const entry = { id: crypto.randomUUID(), name: name || 'API token', hash: AuthStore.hashToken(token), createdAt: Date.now() };
+    user.tokens.push(entry);
+    this.save();
+    return { id: entry.id, name: entry.name, token };
+  }
+
+  deleteToken(username, tokenId) {
+    const user = this.users.get(username);
+    if (!user) return false;
+    const before = user.tokens.length;
+    user.tokens = user.tokens.filter(t => t.id !== tokenId);
+    if (user.tokens.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  verifyToken(token) {
+    const hash = AuthStore.hashToken(token);
+    for (const user of this.users.values()) {
+      if (user.tokens.some(t => t.hash === hash)) return user;
+    }
+    return null;
+  }
+
+  createSession(username) {
+    const id = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(id, { username, expires: Date.now() + this.sessionTtlMs });
+    return id;
+  }
+
+  getSessionUser(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return this.users.get(session.username) || null;
+  }
+
+  endSession(id) {
+    this.sessions.delete(id);
+  }
+}
+
+// Failed sign-ins per client key (the remote address): after maxFailures within windowMs the key
+// has to wait out the window
+class LoginThrottle {
+  constructor(maxFailures = LOGIN_MAX_FAILURES, windowMs = LOGIN_LOCKOUT_MS) {
+    this.maxFailures = maxFailures;
+    this.windowMs = windowMs;
+    this.entries = new Map(); // key -> { failures, firstAt, lockedUntil }
+  }
+
+  // Milliseconds until the key may try again (0 if it may now)
+  retryAfterMs(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    return entry && entry.lockedUntil > now ? entry.lockedUntil - now : 0;
+  }
+
+  fail(key, now = Date.now()) {
+    let entry = this.entries.get(key);
+    if (!entry || now - entry.firstAt > this.windowMs) {
+      entry = { failures: 0, firstAt: now, lockedUntil: 0 };
+      this.entries.set(key, entry);
+    }
+    entry.failures += 1;
+    if (entry.failures >= this.maxFailures) {
+      entry.lockedUntil = now + this.windowMs;
+    }
+    this.prune(now);
+  }
+
+  succeed(key) {
+    this.entries.delete(key);
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (now - entry.firstAt > this.windowMs && entry.lockedUntil <= now) this.entries.delete(key);
+    }
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx < 0) return;
+    cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+  });
+  return cookies;
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  AuthStore,
+  LoginThrottle,
+  parseCookies,
+};
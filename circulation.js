@@ -0,0 +1,256 @@
+/**
+ * Circulation planner: daily turnover quota and pump runtime inside allowed windows.
+ */
+
+const fs = require('fs');
+const { EQUIPMENT_VALUES } = require('./equipment');
+const { MODE_KEY_RE } = require('./modes');
+const { localDayKey } = require('./runtime-stats');
+const { TIME_RE } = require('./scheduler');
+
+// Daily quota = pool volume × turnovers per day. Progress is counted from the pump's actual runtime
+// at each speed's estimated flow; in its mode (auto) the planner runs the pump inside the allowed
+// windows until the quota is met. Counters reset at local midnight.
+const CIRCULATION_FIELDS = ['enabled', 'mode', 'volumeGallons', 'flowGpm', 'turnoversPerDay', 'pumpSpeed', 'windows'];
+const MAX_TURNOVERS_PER_DAY = 10;
+
+class CirculationPlanner {
+  constructor(config = {}) {
+    this.config = { enabled: true, mode: 'auto', pumpSpeed: 'low', windows: [], ...config };
+    this.mode = null;       // ModeConfig whose pump the planner drives, while active
+    this.day = localDayKey(Date.now());
+    this.runMs = { low: 0, high: 0 };
+    this.lastDay = null;    // summary of the previous day with any record
+    this.running = null;    // speed the pump is running at, or null when off
+    this.since = null;      // start of the runtime not yet added to runMs
+    this.pumpCall = false;
+    this.reason = this.config.enabled ? 'Inactive' : 'Disabled';
+  }
+
+  // Returns { config, errors }; a missing file disables the planner
+  static loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+      return { config: { enabled: false }, errors: [] };
+    }
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { config, errors: CirculationPlanner.validate(config) };
+  }
+
+  static validate(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return ['Circulation config must be a JSON object'];
+    }
+    Object.keys(config).forEach(field => {
+      if (!CIRCULATION_FIELDS.includes(field)) errors.push(`${field}: unknown field`);
+    });
+    if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+    if (config.enabled === false) return errors;
+
+    if (config.mode !== undefined && (typeof config.mode !== 'string' || !MODE_KEY_RE.test(config.mode))) {
+      errors.push('mode must be a mode key');
+    }
+    if (!(typeof config.volumeGallons === 'number' && config.volumeGallons > 0)) {
+      errors.push('volumeGallons must be a positive number');
+    }
+    if (!config.flowGpm || typeof config.flowGpm !== 'object') {
+      errors.push('flowGpm must give the estimated flow for each pump speed');
+    } else {
+      EQUIPMENT_VALUES.pumpSpeed.forEach(speed => {
+        if (!(typeof config.flowGpm[speed] === 'number' && config.flowGpm[speed] > 0)) {
+          errors.push(`flowGpm.${speed} must be a positive number (gallons per minute)`);
+        }
+      });
+    }
+    if (!(typeof config.turnoversPerDay === 'number' && config.turnoversPerDay > 0 &&
+          config.turnoversPerDay <= MAX_TURNOVERS_PER_DAY)) {
+      errors.push(`turnoversPerDay must be a number between 0 and ${MAX_TURNOVERS_PER_DAY}`);
+    }
+    if (config.pumpSpeed !== undefined && !EQUIPMENT_VALUES.pumpSpeed.includes(config.pumpSpeed)) {
+      errors.push(`pumpSpeed must be one of ${EQUIPMENT_VALUES.pumpSpeed.join(', ')}`);
+    }
+    if (config.windows !== undefined) {
+      if (!Array.isArray(config.windows)) {
+        errors.push('windows must be an array of { start, end }');
+      } else {
+        config.windows.forEach((w, i) => {
+          if (!w || !TIME_RE.test(w.start || '') || !TIME_RE.test(w.end || '')) {
+            errors.push(`windows[${i}]: start and end must be times in HH:MM format`);
+          } else if (w.start === w.end) {
+            errors.push(`windows[${i}]: start and end must differ`);
+          }
+        });
+      }
+    }
+    return errors;
+  }
+
+  static minutesOf(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+  }
+
+  quotaGallons() {
+    return this.config.volumeGallons * this.config.turnoversPerDay;
+  }
+
+  gallons(runMs = this.runMs) {
+    return Object.entries(runMs).reduce((sum, [speed, ms]) => sum + ms / 60_000 * this.config.flowGpm[speed], 0);
+  }
+
+  // Windows as [start, end) minute ranges within today; overnight windows are split at midnight
+  segments() {
+    const segments = [];
+    this.config.windows.forEach(w => {
+      const start = CirculationPlanner.minutesOf(w.start);
+      const end = CirculationPlanner.minutesOf(w.end);
+      if (start < end) {
+        segments.push([start, end]);
+      } else {
+        segments.push([start, 24 * 60], [0, end]);
+      }
+    });
+    return segments;
+  }
+
+  inWindow(now = Date.now()) {
+    if (this.config.windows.length === 0) return true;
+    const d = new Date(now);
+    const minute = d.getHours() * 60 + d.getMinutes();
+    return this.segments().some(([start, end]) => minute >= start && minute < end);
+  }
+
+  windowMinutesLeft(now = Date.now()) {
+    const d = new Date(now);
+    const minute = d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60;
+    const segments = this.config.windows.length > 0 ? this.segments() : [[0, 24 * 60]];
+    return segments.reduce((sum, [start, end]) => sum + Math.max(0, end - Math.max(start, minute)), 0);
+  }
+
+  // Fold the running time into today's counters, rolling over at midnight
+  accumulate(now = Date.now()) {
+    const today = localDayKey(now);
+    if (today !== this.day) {
+      const midnight = new Date(now).setHours(0, 0, 0, 0);
+      if (this.running && this.since < midnight) {
+        this.runMs[this.running] += midnight - this.since;
+        this.since = midnight;
+      }
+      this.lastDay = this.summary();
+      this.day = today;
+      this.runMs = { low: 0, high: 0 };
+    }
+    if (this.running) {
+      this.runMs[this.running] += now - this.since;
+    }
+    this.since = now;
+  }
+
+  // Called with the effective equipment after every apply
+  record(equipment, now = Date.now()) {
+    this.accumulate(now);
+    this.running = equipment.pump === 'on' ? equipment.pumpSpeed : null;
+  }
+
+  // Take over the pump for the configured mode; any other mode (or null) releases it
+  activate(modeConfig) {
+    const enabled = this.config.enabled && modeConfig && modeConfig.key === this.config.mode;
+    this.mode = enabled ? modeConfig : null;
+    this.evaluate();
+  }
+
+  // Re-evaluate the pump call; returns true if it changed
+  evaluate(now = Date.now()) {
+    const before = this.pumpCall;
+    this.accumulate(now);
+
+    if (!this.config.enabled) {
+      this.pumpCall = false;
+      this.reason = 'Disabled';
+    } else if (!this.mode) {
+      this.pumpCall = false;
+      this.reason = `Inactive outside ${this.config.mode} mode`;
+    } else if (this.gallons() >= this.quotaGallons()) {
+      this.pumpCall = false;
+      this.reason = 'Daily quota met';
+    } else if (!this.inWindow(now)) {
+      this.pumpCall = false;
+      this.reason = 'Outside circulation windows';
+    } else {
+      this.pumpCall = true;
+      this.reason = 'Below daily quota';
+    }
+    return before !== this.pumpCall;
+  }
+
+  // Replace the pump fields of the planner's mode with its decision
+  applyTo(equipmentState) {
+    if (this.mode) {
+      equipmentState.pump = this.pumpCall ? 'on' : this.mode.equipment.pump;
+      equipmentState.pumpSpeed = this.pumpCall ? this.config.pumpSpeed : this.mode.equipment.pumpSpeed;
+    }
+    return equipmentState;
+  }
+
+  summary(day = this.day, runMs = this.runMs) {
+    const gallons = this.gallons(runMs);
+    return {
+      day,
+      gallons: Math.round(gallons),
+      turnovers: Math.round(gallons / this.config.volumeGallons * 100) / 100,
+      runMinutes: Object.fromEntries(Object.entries(runMs).map(([speed, ms]) => [speed, Math.round(ms / 60_000)])),
+    };
+  }
+
+  // Persisted in the state file so a restart keeps the day's progress
+  snapshot() {
+    return { day: this.day, runMs: { ...this.runMs }, lastDay: this.lastDay };
+  }
+
+  restore(saved) {
+    if (!saved || !saved.runMs || !this.config.enabled) return;
+    const runMs = { low: Number(saved.runMs.low) || 0, high: Number(saved.runMs.high) || 0 };
+    if (saved.day === this.day) {
+      this.runMs = runMs;
+      this.lastDay = saved.lastDay || null;
+    } else {
+      // Saved on an earlier day, which becomes the last day on record
+      this.lastDay = this.summary(saved.day, runMs);
+    }
+  }
+
+  getState(now = Date.now()) {
+    if (!this.config.enabled) {
+      return { enabled: false, reason: this.reason };
+    }
+    this.accumulate(now);
+    const quota = this.quotaGallons();
+    const gallons = this.gallons();
+    const remainingMinutes = Math.ceil(Math.max(0, quota - gallons) / this.config.flowGpm[this.config.pumpSpeed]);
+    const windowMinutesLeft = Math.floor(this.windowMinutesLeft(now));
+    return {
+      enabled: true,
+      active: !!this.mode,
+      mode: this.config.mode,
+      ...this.summary(),
+      quotaGallons: Math.round(quota),
+      turnoversPerDay: this.config.turnoversPerDay,
+      percent: Math.min(100, Math.round(gallons / quota * 1000) / 10),
+      remainingMinutes,
+      windowMinutesLeft,
+      onTrack: remainingMinutes <= windowMinutesLeft,
+      pumpSpeed: this.config.pumpSpeed,
+      pumpCall: this.pumpCall,
+      inWindow: this.inWindow(now),
+      windows: this.config.windows,
+      reason: this.reason,
+      lastDay: this.lastDay,
+    };
+  }
+}
+
+module.exports = {
+  CirculationPlanner,
+};
@@ -0,0 +1,428 @@
+/**
+ * Equipment state and the hardware it drives: the output mapping from hardware.json, the valve
+ * actuator timelines and PoolController, which applies equipment states through the heater
+ * interlocks to an OutputBank.
+ */
+
+const fs = require('fs');
+const { DRIVER_TYPES } = require('./output-drivers');
+
+const EQUIPMENT_VALUES = {
+  pump: ['on', 'off'],
+  pumpSpeed: ['low', 'high'],
+  inflowValve: ['pool', 'spa'],
+  outflowValve: ['pool', 'spa'],
+  heater: ['on', 'off'],
+};
+
+class EquipmentState {
+  constructor(pump = 'off', pumpSpeed = 'low', inflowValve = 'pool', outflowValve = 'pool', heater = 'off') {
+    this.pump = pump;
+    this.pumpSpeed = pumpSpeed;
+    this.inflowValve = inflowValve;
+    this.outflowValve = outflowValve;
+    this.heater = heater;
+  }
+
+  static fromConfig(config) {
+    return new EquipmentState(
+      config.pump,
+      config.pumpSpeed,
+      config.inflowValve,
+      config.outflowValve,
+      config.heater
+    );
+  }
+
+  copy() {
+    return new EquipmentState(this.pump, this.pumpSpeed, this.inflowValve, this.outflowValve, this.heater);
+  }
+}
+
+const OUTPUT_NAMES = ['RELAY_INFLOW', 'RELAY_OUTFLOW', 'PUMP', 'PUMP_TURBO', 'HEATER_SPA'];
+const POLARITIES = ['active-high', 'active-low'];
+const DEFAULT_DRIVER = 'libgpiod';
+const VALVE_ACTUATORS = { suction: 'inflowValve', return: 'outflowValve' }; // actuator -> equipment field
+const DEFAULT_VALVE_TRAVEL_S = 30;
+const MAX_VALVE_TRAVEL_S = 600;
+
+class HardwareConfig {
+  constructor(outputs, drivers, valves) {
+    this.outputs = outputs; // name -> { name, label, driver, chip, line, activeLow }
+    this.drivers = drivers; // driver instance name -> { type, ...options }
+    this.valves = valves;   // actuator name -> { travelMs } for a full pool <-> spa move
+  }
+
+  static load(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const list = Array.isArray(config.outputs) ? config.outputs : [];
+    const errors = [];
+    const outputs = {};
+    const used = new Set();
+
+    // Every driver type is available under its own name; "drivers" adds configured instances
+    const drivers = {};
+    Object.keys(DRIVER_TYPES).forEach(type => { drivers[type] = { type }; });
+    Object.entries(config.drivers || {}).forEach(([name, driver]) => {
+      if (!driver || !DRIVER_TYPES[driver.type]) {
+        errors.push(`drivers.${name}: type must be one of ${Object.keys(DRIVER_TYPES).join(', ')}`);
+        return;
+      }
+      drivers[name] = { ...driver };
+    });
+
+    list.forEach((output, i) => {
+      const where = output && output.name ? output.name : `outputs[${i}]`;
+      if (!output || !OUTPUT_NAMES.includes(output.name)) {
+        errors.push(`${where}: name must be one of ${OUTPUT_NAMES.join(', ')}`);
+        return;
+      }
+      if (outputs[output.name]) {
+        errors.push(`${where}: defined more than once`);
+      }
+      const driver = output.driver || DEFAULT_DRIVER;
+      if (!drivers[driver]) {
+        errors.push(`${where}: unknown driver ${driver}`);
+      }
+      const driverType = drivers[driver] ? drivers[driver].type : null;
+      if (driverType === 'libgpiod' && (!Number.isInteger(output.chip) || output.chip < 0)) {
+        errors.push(`${where}: chip must be a gpiochip number`);
+      }
+      if (!Number.isInteger(output.line) || output.line < 0) {
+        errors.push(`${where}: line must be a line offset`);
+      }
+      if (driverType === 'mcp23017' && output.line > 15) {
+        errors.push(`${where}: MCP23017 line must be 0-15`);
+      }
+      const polarity = output.polarity || 'active-high';
+      if (!POLARITIES.includes(polarity)) {
+        errors.push(`${where}: polarity must be one of ${POLARITIES.join(', ')}`);
+      }
+      const chip = driverType === 'libgpiod' ? output.chip : null;
+      const lineId = `${driver}:${chip}:${output.line}`;
+      if (used.has(lineId)) {
+        errors.push(`${where}: ${driver} ${chip !== null ? `chip ${chip} ` : ''}line ${output.line} is already used`);
+      }
+      used.add(lineId);
+
+      outputs[output.name] = {
+        name: output.name,
+        label: output.label || output.name,
+        driver,
+        chip,
+        line: output.line,
+        activeLow: polarity === 'active-low',
+      };
+    });
+
+    OUTPUT_NAMES.filter(name => !outputs[name]).forEach(name => errors.push(`${name}: missing`));
+
+    const valves = {};
+    Object.keys(VALVE_ACTUATORS).forEach(name => {
+      const travel = ((config.valves || {})[name] || {}).travelSeconds ?? DEFAULT_VALVE_TRAVEL_S;
+      if (typeof travel !== 'number' || !(travel > 0) || travel > MAX_VALVE_TRAVEL_S) {
+        errors.push(`valves.${name}: travelSeconds must be a number between 0 and ${MAX_VALVE_TRAVEL_S}`);
+      }
+      valves[name] = { travelMs: travel * 1000 };
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid hardware config ${filePath}: ${errors.join('; ')}`);
+    }
+    return new HardwareConfig(outputs, drivers, valves);
+  }
+
+  describe() {
+    return OUTPUT_NAMES.map(name => {
+      const o = this.outputs[name];
+      return {
+        name,
+        label: o.label,
+        driver: o.driver,
+        type: this.drivers[o.driver].type,
+        chip: o.chip,
+        line: o.line,
+        polarity: o.activeLow ? 'active-low' : 'active-high',
+      };
+    });
+  }
+}
+
+// Each 3-way valve actuator (suction, return) travels on its own timeline: pool = 0%, spa = 100%.
+// Travel time scales with distance, so a move reversed halfway takes half as long to come back.
+class ValveActuator {
+  constructor(name, field, travelMs, onChange = () => {}) {
+    this.name = name;
+    this.field = field;       // EquipmentState field driving this actuator's relay
+    this.travelMs = travelMs; // full pool <-> spa travel time
+    this.onChange = onChange;
+    this.percent = 0;         // 0..100 stable value when not moving
+    this.moving = false;
+    this.from = 0;
+    this.to = 0;
+    this.startMs = 0;
+    this.durationMs = 0;
+    this.timer = null;
+  }
+
+  static targetFor(position) {
+    return position === 'spa' ? 100 : 0;
+  }
+
+  currentPercent(now = Date.now()) {
+    if (!this.moving) return this.percent;
+    const t = this.durationMs > 0 ? Math.max(0, Math.min(1, (now - this.startMs) / this.durationMs)) : 1;
+    return this.from + (this.to - this.from) * t;
+  }
+
+  remainingMs(now = Date.now()) {
+    return this.moving ? Math.max(0, this.startMs + this.durationMs - now) : 0;
+  }
+
+  // Start (or retarget) a move from wherever the actuator is now; returns false if already headed there
+  moveTo(percent, now = Date.now()) {
+    const from = this.currentPercent(now);
+    if (this.moving ? this.to === percent : from === percent) return false;
+
+    clearTimeout(this.timer);
+    this.from = from;
+    this.to = percent;
+    this.startMs = now;
+    this.durationMs = Math.round(this.travelMs * Math.abs(percent - from) / 100);
+    this.moving = true;
+    this.timer = setTimeout(() => this.arrive(), this.durationMs);
+    console.log(`Moving ${this.name} valve from ${Math.round(from)}% to ${percent}%`);
+    this.onChange(this);
+    return true;
+  }
+
+  arrive() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.percent = this.to;
+    this.moving = false;
+    this.onChange(this);
+  }
+
+  // Assume a position without moving (boot restore)
+  setPosition(percent) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.percent = percent;
+    this.from = percent;
+    this.to = percent;
+    this.moving = false;
+  }
+
+  toJSON() {
+    return {
+      percent: this.currentPercent(), // float, 0..100, linear
+      moving: this.moving,
+      from: this.from,
+      to: this.to,
+      startMs: this.startMs,
+      durationMs: this.durationMs,
+      travelMs: this.travelMs,
+    };
+  }
+}
+
+class PoolController {
+  constructor(outputs, bank, simulator = false, options = {}) {
+    this.outputs = outputs; // name -> { driver, line, activeLow, ... } from HardwareConfig
+    this.bank = bank;       // OutputBank writing raw line levels to the hardware
+    this.simulatorBank = options.simulatorBank || null; // mock OutputBank used in simulator mode
+    this.simulator = simulator;
+    this.currentState = new EquipmentState();   // what the outputs are actually doing
+    this.requestedState = new EquipmentState(); // what callers last asked for
+    this.gpioStates = {};
+
+    // Interlocks: pump keeps running this long after the heater turns off
+    this.cooldownMs = options.cooldownMs ?? 0;
+    this.heaterOffAt = null;
+    this.cooldownTimer = null;
+
+    // Equipment fields forced over every requested state (freeze protection), or null
+    this.override = null;
+
+    // Called with the interlock result after every apply
+    this.onApply = options.onApply || null;
+
+    // RuntimeStats fed from every hardware apply (on-time, pump hours per speed, relay cycles)
+    this.stats = options.stats || null;
+
+    // Initialize logical output states to 0 (off)
+    Object.keys(outputs).forEach(pinKey => {
+      this.gpioStates[pinKey] = 0;
+    });
+  }
+
+  setSimulatorMode(enabled) {
+    this.simulator = enabled;
+    console.log(`Simulator mode: ${enabled ? 'ENABLED' : 'DISABLED'}`);
+    // Only real relay activity counts; the next hardware apply starts the clocks again
+    if (enabled && this.stats) {
+      this.stats.record([]);
+    }
+  }
+
+  // Adjust a requested state so the heater never runs without flow.
+  // Returns { state, blocked: [reasons], cooldownUntil }.
+  enforceInterlocks(requested, now = Date.now()) {
+    const state = requested.copy();
+    const blocked = [];
+
+    if (this.override) {
+      Object.assign(state, this.override);
+    }
+
+    // Heater-on without pump-on is refused; stopping the pump under a running heater turns it off
+    if (state.heater === 'on' && state.pump !== 'on') {
+      state.heater = 'off';
+      if (this.currentState.heater !== 'on') {
+        blocked.push('Heater cannot turn on while the pump is off');
+      }
+    }
+
+    // Start the cool-down clock when the heater goes off
+    if (state.heater === 'on') {
+      this.heaterOffAt = null;
+    } else if (this.currentState.heater === 'on') {
+      this.heaterOffAt = now;
+    }
+
+    // Keep the pump running on low until the heater has cooled down
+    const cooldownUntil = this.heaterOffAt !== null ? this.heaterOffAt + this.cooldownMs : 0;
+    if (state.pump !== 'on' && now < cooldownUntil) {
+      state.pump = 'on';
+      state.pumpSpeed = 'low';
+    }
+
+    return { state, blocked, cooldownUntil: now < cooldownUntil ? cooldownUntil : null };
+  }
+
+  applyEquipmentState(equipmentState) {
+    this.requestedState = equipmentState.copy();
+    const result = this.enforceInterlocks(this.requestedState);
+    const effective = result.state;
+    const heaterTurningOff = this.currentState.heater === 'on' && effective.heater !== 'on';
+
+    // A refused heater request is not retried when the cool-down re-applies this state
+    if (effective.heater !== 'on') {
+      this.requestedState.heater = 'off';
+    }
+
+    result.blocked.forEach(reason => console.log(`Interlock: ${reason}`));
+    this.scheduleCooldownEnd(result.cooldownUntil);
+
+    this.currentState = effective.copy();
+
+    // Calculate new GPIO states
+    const newGpioStates = {
+      PUMP: effective.pump === 'on' ? 1 : 0,
+      PUMP_TURBO: (effective.pump === 'on' && effective.pumpSpeed === 'high') ? 1 : 0,
+      RELAY_INFLOW: effective.inflowValve === 'spa' ? 1 : 0,
+      RELAY_OUTFLOW: effective.outflowValve === 'spa' ? 1 : 0,
+      HEATER_SPA: effective.heater === 'on' ? 1 : 0
+    };
+
+    // Update stored GPIO states
+    this.gpioStates = { ...newGpioStates };
+
+    if (this.stats && !this.simulator) {
+      const on = Object.keys(newGpioStates).filter(pinKey => newGpioStates[pinKey] === 1);
+      if (effective.pump === 'on') on.push(`pump.${effective.pumpSpeed}`);
+      this.stats.record(on);
+    }
+
+    if (this.simulator) {
+      console.log(`[SIMULATOR] Would apply GPIO states:`, newGpioStates);
+    }
+    const bank = this.simulator ? this.simulatorBank : this.bank;
+
+    // Heater drops before the pump, and comes on after it
+    const order = Object.keys(newGpioStates).filter(pinKey => pinKey !== 'HEATER_SPA');
+    if (heaterTurningOff) {
+      order.unshift('HEATER_SPA');
+    } else {
+      order.push('HEATER_SPA');
+    }
+    // gpioStates are logical (1 = energized); active-low outputs are driven inverted
+    result.failed = order.filter(pinKey => {
+      const level = this.outputs[pinKey].activeLow ? 1 - newGpioStates[pinKey] : newGpioStates[pinKey];
+      return !bank.write(pinKey, level);
+    });
+
+    if (this.simulator) {
+      if (this.onApply) this.onApply(result);
+      return result;
+    }
+
+    console.log(`Applied state: pump=${effective.pump}/${effective.pumpSpeed}, valves=${effective.inflowValve}/${effective.outflowValve}, heater=${effective.heater}`);
+    if (this.onApply) this.onApply(result);
+    return result;
+  }
+
+  // Re-apply the last requested state once the cool-down has elapsed
+  scheduleCooldownEnd(cooldownUntil) {
+    clearTimeout(this.cooldownTimer);
+    this.cooldownTimer = null;
+    if (!cooldownUntil) return;
+
+    console.log(`Pump cool-down run-on until ${new Date(cooldownUntil).toLocaleTimeString()}`);
+    this.cooldownTimer = setTimeout(() => {
+      this.cooldownTimer = null;
+      console.log('Pump cool-down complete');
+      this.applyEquipmentState(this.requestedState);
+    }, cooldownUntil - Date.now());
+  }
+
+  // Drop the pump run-on now; the next apply no longer holds the pump on (shutdown)
+  endCooldown() {
+    clearTimeout(this.cooldownTimer);
+    this.cooldownTimer = null;
+    this.heaterOffAt = null;
+  }
+
+  // Force (or release, with null) equipment fields regardless of the requested state
+  setOverride(override) {
+    this.override = override;
+    return this.applyEquipmentState(this.requestedState);
+  }
+
+  getRequestedState() {
+    return this.requestedState.copy();
+  }
+
+  getInterlockState() {
+    const cooldownUntil = this.heaterOffAt !== null ? this.heaterOffAt + this.cooldownMs : 0;
+    return {
+      cooldownMs: this.cooldownMs,
+      cooldownUntil: this.cooldownTimer ? cooldownUntil : null,
+      override: this.override ? { ...this.override } : null,
+      requested: this.requestedState.copy(),
+    };
+  }
+
+  applyMode(modeConfig) {
+    return this.applyEquipmentState(modeConfig.equipment);
+  }
+
+  getCurrentState() {
+    return this.currentState.copy();
+  }
+
+  getGpioStates() {
+    return { ...this.gpioStates };
+  }
+}
+
+module.exports = {
+  EQUIPMENT_VALUES,
+  OUTPUT_NAMES,
+  EquipmentState,
+  VALVE_ACTUATORS,
+  HardwareConfig,
+  ValveActuator,
+  PoolController,
+};
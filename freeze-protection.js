@@ -0,0 +1,149 @@
+/**
+ * Freeze protection: forced circulation when air or water nears freezing.
+ */
+
+const { EQUIPMENT_VALUES } = require('./equipment');
+const { SENSOR_LOCATIONS } = require('./temperature-sensors');
+
+// Forces circulation when the air or water nears freezing, whatever the mode, unless a maintenance
+// lockout is on. The valves alternate between the pool and spa paths so both sets of plumbing get flow.
+const FREEZE_DEFAULTS = {
+  enabled: true,
+  thresholds: { air: 36, pool: 38 }, // °F: circulate when any of these reads at or below its threshold
+  hysteresis: 3,                     // °F above every threshold before circulation may stop
+  pumpSpeed: 'low',
+  valveCycleMinutes: 15,             // time on each valve path
+  minRunMinutes: 30,
+};
+
+class FreezeProtection {
+  constructor(getTemperature, config = {}) {
+    this.getTemperature = getTemperature; // (location) => °F, or null if unknown/stale
+    this.config = { ...FREEZE_DEFAULTS, ...config };
+    this.active = false;
+    this.activatedAt = null;
+    this.path = 'pool';   // valve path currently circulating
+    this.pathSince = null;
+    this.trigger = null;  // { location, temperature, threshold } that started circulation
+    this.temperatures = {};
+    this.reason = this.config.enabled ? 'Above freeze thresholds' : 'Disabled';
+  }
+
+  static validate(config) {
+    const errors = [];
+    if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+    if (config.thresholds !== undefined) {
+      if (!config.thresholds || typeof config.thresholds !== 'object' || Array.isArray(config.thresholds)) {
+        errors.push('thresholds must map sensor locations to °F');
+      } else {
+        Object.entries(config.thresholds).forEach(([location, threshold]) => {
+          if (!SENSOR_LOCATIONS.includes(location)) {
+            errors.push(`thresholds.${location}: location must be one of ${SENSOR_LOCATIONS.join(', ')}`);
+          } else if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+            errors.push(`thresholds.${location}: must be a number (°F)`);
+          }
+        });
+      }
+    }
+    if (config.hysteresis !== undefined && !(typeof config.hysteresis === 'number' && config.hysteresis >= 0)) {
+      errors.push('hysteresis must be a non-negative number');
+    }
+    if (config.pumpSpeed !== undefined && !EQUIPMENT_VALUES.pumpSpeed.includes(config.pumpSpeed)) {
+      errors.push(`pumpSpeed must be one of ${EQUIPMENT_VALUES.pumpSpeed.join(', ')}`);
+    }
+    ['valveCycleMinutes', 'minRunMinutes'].forEach(field => {
+      if (config[field] !== undefined && !(typeof config[field] === 'number' && config[field] > 0)) {
+        errors.push(`${field} must be a positive number`);
+      }
+    });
+    return errors;
+  }
+
+  // Re-evaluate; returns true if circulation started, stopped or switched valve path
+  evaluate(lockedOut = false, now = Date.now()) {
+    const before = `${this.active}:${this.path}`;
+    const { thresholds, hysteresis } = this.config;
+
+    this.temperatures = {};
+    const known = [];
+    for (const [location, threshold] of Object.entries(thresholds)) {
+      const temperature = this.getTemperature(location);
+      this.temperatures[location] = temperature;
+      if (temperature !== null) known.push({ location, temperature, threshold });
+    }
+    const cold = known.find(r => r.temperature <= r.threshold);
+
+    if (!this.config.enabled) {
+      this.stop('Disabled');
+    } else if (lockedOut) {
+      this.stop('Maintenance lockout');
+    } else if (!this.active) {
+      if (cold) {
+        this.start(cold, now);
+      } else {
+        this.reason = known.length > 0 ? 'Above freeze thresholds' : 'No recent temperature readings';
+      }
+    } else if (cold) {
+      this.reason = `${cold.location} ${cold.temperature}°F at or below ${cold.threshold}°F`;
+    } else if (known.length === 0) {
+      // Losing the probes mid-freeze is no reason to stop the pump
+      this.reason = 'No recent temperature readings; keeping circulation on';
+    } else if (!known.every(r => r.temperature > r.threshold + hysteresis)) {
+      this.reason = 'Holding until temperatures clear the hysteresis band';
+    } else if (now - this.activatedAt < this.config.minRunMinutes * 60_000) {
+      this.reason = `Holding for minimum run of ${this.config.minRunMinutes} min`;
+    } else {
+      this.stop('Above freeze thresholds');
+    }
+
+    if (this.active && now - this.pathSince >= this.config.valveCycleMinutes * 60_000) {
+      this.path = this.path === 'pool' ? 'spa' : 'pool';
+      this.pathSince = now;
+    }
+
+    return before !== `${this.active}:${this.path}`;
+  }
+
+  start(trigger, now) {
+    this.active = true;
+    this.activatedAt = now;
+    this.path = 'pool';
+    this.pathSince = now;
+    this.trigger = trigger;
+    this.reason = `${trigger.location} ${trigger.temperature}°F at or below ${trigger.threshold}°F`;
+  }
+
+  stop(reason) {
+    this.active = false;
+    this.activatedAt = null;
+    this.pathSince = null;
+    this.trigger = null;
+    this.reason = reason;
+  }
+
+  // Equipment fields forced on top of whatever the mode asks for, or null when idle
+  override() {
+    if (!this.active) return null;
+    return { pump: 'on', pumpSpeed: this.config.pumpSpeed, inflowValve: this.path, outflowValve: this.path };
+  }
+
+  getState() {
+    return {
+      enabled: this.config.enabled,
+      active: this.active,
+      activatedAt: this.activatedAt,
+      path: this.active ? this.path : null,
+      pathSince: this.pathSince,
+      trigger: this.trigger,
+      thresholds: { ...this.config.thresholds },
+      temperatures: { ...this.temperatures },
+      reason: this.reason,
+    };
+  }
+}
+
+module.exports = {
+  FreezeProtection,
+};
@@ -0,0 +1,165 @@
+/**
+ * Self-health supervision: event-loop lag, named health checks and systemd notifications.
+ */
+
+const HEALTH_LEVELS = ['healthy', 'degraded', 'failed']; // worst check wins
+
+// Event-loop lag from timer drift: how late a fixed-interval timer fires
+class EventLoopMonitor {
+  constructor(intervalMs = 500) {
+    this.intervalMs = intervalMs;
+    this.lagMs = 0;
+    this.maxLagMs = 0; // worst lag since the last takeMax()
+    this.expected = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.expected = Date.now() + this.intervalMs;
+    this.timer = setInterval(() => {
+      const now = Date.now();
+      this.lagMs = Math.max(0, now - this.expected);
+      this.maxLagMs = Math.max(this.maxLagMs, this.lagMs);
+      this.expected = now + this.intervalMs;
+    }, this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  takeMax() {
+    const max = this.maxLagMs;
+    this.maxLagMs = this.lagMs;
+    return max;
+  }
+}
+
+// Runs named checks, each returning { status: healthy | degraded | failed, message }, and keeps
+// the overall status plus how many checks in a row have failed
+class HealthMonitor {
+  constructor(checks) {
+    this.checks = checks; // name -> () => { status, message }
+    this.status = 'healthy';
+    this.results = [];
+    this.failedChecks = 0;   // consecutive evaluations with a failed check
+    this.lastFailedAt = null;
+    this.checkedAt = null;
+  }
+
+  // Returns true when the overall status changed
+  evaluate(now = Date.now()) {
+    this.results = Object.entries(this.checks).map(([name, check]) => {
+      try {
+        return { name, ...check(now) };
+      } catch (err) {
+        return { name, status: 'failed', message: `check threw: ${err.message}` };
+      }
+    });
+    const worst = Math.max(0, ...this.results.map(r => HEALTH_LEVELS.indexOf(r.status)));
+    const previous = this.status;
+    this.status = HEALTH_LEVELS[worst];
+    this.checkedAt = now;
+
+    if (this.status === 'failed') {
+      this.failedChecks += 1;
+      this.lastFailedAt = now;
+    } else {
+      this.failedChecks = 0;
+    }
+    return this.status !== previous;
+  }
+
+  failures() {
+    return this.results.filter(r => r.status === 'failed').map(r => `${r.name}: ${r.message}`);
+  }
+
+  getState() {
+    return {
+      status: this.status,
+      checkedAt: this.checkedAt,
+      failedChecks: this.failedChecks,
+      checks: this.results,
+    };
+  }
+}
+
+// systemd sd_notify (READY=1, WATCHDOG=1, STATUS=...) when started with Type=notify. Node has no
+// unix datagram sockets, so the optional unix-dgram package sends them from this process (the
+// unit's main PID, which the default NotifyAccess=main accepts).
+class SystemdNotifier {
+  constructor(env = process.env, dgram = null) {
+    this.socket = env.NOTIFY_SOCKET || null;
+    this.client = null;
+    this.timer = null;
+    this.lastPingAt = null;
+    this.lastError = null;
+
+    if (this.socket && this.socket.startsWith('@')) {
+      // unix-dgram copies the path as a C string, so it cannot address abstract sockets
+      console.error(`systemd notifications disabled: abstract NOTIFY_SOCKET ${this.socket} is not supported`);
+      this.socket = null;
+    } else if (this.socket) {
+      try {
+        this.client = (dgram || require('unix-dgram')).createSocket('unix_dgram');
+      } catch (err) {
+        console.error('systemd notifications disabled: the "unix-dgram" package is not available:', err.message);
+        this.socket = null;
+      }
+    }
+
+    const watchdogUsec = parseInt(env.WATCHDOG_USEC, 10);
+    const watchdogPid = parseInt(env.WATCHDOG_PID, 10);
+    // WATCHDOG_PID names the process systemd expects pings from; ignore it if that isn't us
+    this.watchdogMs = this.socket && watchdogUsec > 0 && (!watchdogPid || watchdogPid === process.pid)
+      ? watchdogUsec / 1000
+      : null;
+  }
+
+  notify(...assignments) {
+    if (!this.client) return;
+    const message = Buffer.from(assignments.join('\n'));
+    this.client.send(message, 0, message.length, this.socket, (err) => {
+      if (err && this.lastError !== err.message) {
+        console.error('systemd notify failed:', err.message);
+      }
+      this.lastError = err ? err.message : null;
+    });
+  }
+
+  // Ping at half the watchdog interval while isAlive() holds; a hung event loop stops the pings
+  // and systemd restarts the service
+  startWatchdog(isAlive) {
+    if (!this.watchdogMs) return;
+    this.timer = setInterval(() => {
+      if (!isAlive()) return;
+      this.notify('WATCHDOG=1');
+      this.lastPingAt = Date.now();
+    }, this.watchdogMs / 2);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.client) {
+      this.client.close();
+      this.client = null;
+    }
+  }
+
+  getState() {
+    return {
+      enabled: !!this.socket,
+      watchdogMs: this.watchdogMs,
+      lastPingAt: this.lastPingAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = {
+  EventLoopMonitor,
+  HealthMonitor,
+  SystemdNotifier,
+};
@@ -0,0 +1,114 @@
+/**
+ * Event history: an append-only JSON-lines log with retention and paged queries.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Append-only event log, one JSON object per line. Events are { id, at, type, actor, ... };
+// `type` is "<category>.<action>" (e.g. mode.start) or a bare category (e.g. equipment).
+const HISTORY_MAX_EVENTS = 50_000; // hard cap on top of the retention period
+const HISTORY_PRUNE_TO = 45_000;    // going over the cap prunes down to this, so the file is not rewritten per event
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_MAX_PAGE_SIZE = 500;
+
+class EventHistory {
+  constructor(filePath, retentionMs) {
+    this.filePath = filePath;
+    this.retentionMs = retentionMs;
+    this.events = []; // oldest first
+    this.nextId = 1;
+  }
+
+  // A torn last line (power cut mid-append) is skipped rather than failing the whole log
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let skipped = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.events.push(JSON.parse(line));
+      } catch {
+        skipped++;
+      }
+    }
+    this.nextId = this.events.reduce((max, e) => Math.max(max, e.id || 0), 0) + 1;
+    if (skipped > 0) {
+      // Rewrite so the next append does not land on the end of a torn line
+      console.error(`Skipped ${skipped} unreadable history line(s) in ${this.filePath}`);
+      this.rewrite();
+    }
+    this.prune();
+  }
+
+  record(type, fields = {}) {
+    const event = { id: this.nextId++, at: Date.now(), type, actor: 'system', ...fields };
+    this.events.push(event);
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(event) + '\n');
+    } catch (err) {
+      console.error('Failed to append history event:', err.message);
+    }
+    if (this.events.length > HISTORY_MAX_EVENTS) {
+      this.prune();
+    }
+    return event;
+  }
+
+  // Drop events past the retention period (or over the cap) and rewrite the file
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionMs;
+    let start = this.events.findIndex(e => e.at >= cutoff);
+    if (start === -1) start = this.events.length;
+    if (this.events.length > HISTORY_MAX_EVENTS) {
+      start = Math.max(start, this.events.length - HISTORY_PRUNE_TO);
+    }
+    if (start === 0) return 0;
+
+    this.events = this.events.slice(start);
+    this.rewrite();
+    console.log(`History: pruned ${start} event(s)`);
+    return start;
+  }
+
+  rewrite() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, this.events.map(e => JSON.stringify(e) + '\n').join(''));
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      console.error('Failed to rewrite history:', err.message);
+    }
+  }
+
+  // Newest first. `types` matches exactly or by category ("mode" matches "mode.start");
+  // `before` is the id cursor returned as `next` by the previous page.
+  query({ from = null, to = null, types = null, before = null, limit = HISTORY_PAGE_SIZE } = {}) {
+    const page = [];
+    let next = null;
+    for (let i = this.events.length - 1; i >= 0; i--) {
+      const e = this.events[i];
+      if (before !== null && e.id >= before) continue;
+      if (to !== null && e.at > to) continue;
+      if (from !== null && e.at < from) break;
+      if (types && !types.some(t => e.type === t || e.type.startsWith(`${t}.`))) continue;
+      if (page.length === limit) {
+        next = page[page.length - 1].id;
+        break;
+      }
+      page.push(e);
+    }
+    return { events: page, next };
+  }
+}
+
+module.exports = {
+  HISTORY_MAX_EVENTS,
+  HISTORY_PRUNE_TO,
+  HISTORY_PAGE_SIZE,
+  HISTORY_MAX_PAGE_SIZE,
+  EventHistory,
+};
@@ -0,0 +1,68 @@
+/**
+ * Idempotency-Key support for the state-changing API routes.
+ */
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60_000;
+const IDEMPOTENCY_MAX_ENTRIES = 500;
+
+// Returns middleware that replays the stored response when a client retries with the same
+// Idempotency-Key. The key is bound to the request body: reusing it for a different body is a 422,
+// and a retry that arrives while the first request is still running is a 409.
+function idempotency({ ttlMs = IDEMPOTENCY_TTL_MS, maxEntries = IDEMPOTENCY_MAX_ENTRIES } = {}) {
+  const cache = new Map(); // `${user} ${method} ${path} ${key}` -> { fingerprint, pending, status, body, expires }
+
+  function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    const cacheKey = `${req.user ? req.user.username : ''} ${req.method} ${req.originalUrl} ${key}`;
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(req.body ?? null)).digest('hex');
+    const now = Date.now();
+    for (const [k, entry] of cache) {
+      if (entry.expires > now) break; // insertion order == expiry order
+      cache.delete(k);
+    }
+
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      if (cached.fingerprint !== fingerprint) {
+        return res.status(422).json({ ok: false, message: 'Idempotency-Key was already used with a different request body' });
+      }
+      if (cached.pending) {
+        return res.status(409).json({ ok: false, message: 'A request with this Idempotency-Key is still in progress' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(cached.status).json(cached.body);
+    }
+
+    const entry = { fingerprint, pending: true, status: null, body: null, expires: now + ttlMs };
+    cache.set(cacheKey, entry);
+    if (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      entry.pending = false;
+      entry.status = res.statusCode;
+      entry.body = body;
+      return json(body);
+    };
+    // Nothing to replay if the handler failed without a JSON answer: let the client retry
+    res.on('close', () => {
+      if (entry.pending && cache.get(cacheKey) === entry) cache.delete(cacheKey);
+    });
+    next();
+  }
+
+  idempotent.cache = cache;
+  return idempotent;
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL_MS,
+  IDEMPOTENCY_MAX_ENTRIES,
+  idempotency,
+};
@@ -0,0 +1,167 @@
+/**
+ * Maintenance reminders driven by equipment runtime and calendar days.
+ */
+
+const fs = require('fs');
+const { MODE_KEY_RE } = require('./modes');
+const { writeJsonAtomic } = require('./persistence');
+
+// Tasks come from maintenance.json and fall due after pump hours, heater hours or calendar days
+// since they were last completed, whichever comes first. Completions live in data/maintenance-log.json.
+const MAINTENANCE_INTERVALS = { pumpHours: 'PUMP', heaterHours: 'HEATER_SPA', days: null }; // -> runtime counter
+const MAINTENANCE_TASK_FIELDS = ['name', 'description', 'every'];
+const MAINTENANCE_DUE_FRACTION = 0.9; // "due" from 90% of the interval, "overdue" past it
+
+class MaintenanceTracker {
+  constructor(filePath, tasks, getRuntime) {
+    this.filePath = filePath;
+    this.tasks = tasks;           // key -> { name, description, every: { pumpHours, heaterHours, days } }
+    this.getRuntime = getRuntime; // (counter) => { onMs, since } lifetime runtime
+    this.completions = {};        // key -> { at, by, note, runtimeMs: { counter -> onMs }, notified }
+  }
+
+  static loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+      return { config: { tasks: {} }, errors: [] };
+    }
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { config, errors: MaintenanceTracker.validate(config) };
+  }
+
+  static validate(config) {
+    const errors = [];
+    if (!config || typeof config.tasks !== 'object' || config.tasks === null || Array.isArray(config.tasks)) {
+      return ['tasks must map task keys to { name, every }'];
+    }
+    Object.entries(config.tasks).forEach(([key, task]) => {
+      if (!MODE_KEY_RE.test(key)) {
+        errors.push(`${key}: key must be lowercase words separated by dashes`);
+      }
+      if (!task || typeof task !== 'object') {
+        errors.push(`${key}: must be an object`);
+        return;
+      }
+      Object.keys(task).forEach(field => {
+        if (!MAINTENANCE_TASK_FIELDS.includes(field)) errors.push(`${key}.${field}: unknown field`);
+      });
+      if (typeof task.name !== 'string' || !task.name.trim()) {
+        errors.push(`${key}.name must be a non-empty string`);
+      }
+      const every = task.every || {};
+      const intervals = Object.keys(every);
+      if (intervals.length === 0) {
+        errors.push(`${key}.every needs at least one of ${Object.keys(MAINTENANCE_INTERVALS).join(', ')}`);
+      }
+      intervals.forEach(interval => {
+        if (!(interval in MAINTENANCE_INTERVALS)) {
+          errors.push(`${key}.every.${interval}: must be one of ${Object.keys(MAINTENANCE_INTERVALS).join(', ')}`);
+        } else if (!(typeof every[interval] === 'number' && every[interval] > 0)) {
+          errors.push(`${key}.every.${interval} must be a positive number`);
+        }
+      });
+    });
+    return errors;
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      this.completions = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+    // Tasks never completed count from when they were first tracked
+    let added = false;
+    Object.keys(this.tasks).forEach(key => {
+      if (!this.completions[key]) {
+        this.completions[key] = this.snapshot(null, null);
+        added = true;
+      }
+    });
+    if (added) this.save();
+  }
+
+  save() {
+    writeJsonAtomic(this.filePath, this.completions);
+  }
+
+  snapshot(by, note, now = Date.now()) {
+    const runtimeMs = {};
+    Object.values(MAINTENANCE_INTERVALS).filter(Boolean).forEach(counter => {
+      runtimeMs[counter] = this.getRuntime(counter).onMs;
+    });
+    return { at: now, by, note, runtimeMs, notified: null };
+  }
+
+  // Runtime of a counter since the task was completed. A counter reset after the completion
+  // loses the part before the reset, so count from the reset instead.
+  usedMs(counter, completion) {
+    const runtime = this.getRuntime(counter);
+    if (runtime.since > completion.at) return runtime.onMs;
+    return Math.max(0, runtime.onMs - (completion.runtimeMs[counter] || 0));
+  }
+
+  taskState(key, now = Date.now()) {
+    const task = this.tasks[key];
+    const completion = this.completions[key];
+    const progress = {};
+    let fraction = 0;
+
+    Object.entries(task.every).forEach(([interval, limit]) => {
+      const counter = MAINTENANCE_INTERVALS[interval];
+      const used = counter
+        ? this.usedMs(counter, completion) / 3_600_000
+        : (now - completion.at) / (24 * 3_600_000);
+      progress[interval] = { used: Math.round(used * 10) / 10, limit };
+      fraction = Math.max(fraction, used / limit);
+    });
+
+    let state = 'ok';
+    if (fraction >= 1) {
+      state = 'overdue';
+    } else if (fraction >= MAINTENANCE_DUE_FRACTION) {
+      state = 'due';
+    }
+
+    return {
+      key,
+      name: task.name,
+      description: task.description || null,
+      every: task.every,
+      state,
+      fraction: Math.round(fraction * 1000) / 1000,
+      progress,
+      lastCompleted: { at: completion.at, by: completion.by, note: completion.note },
+    };
+  }
+
+  // Most urgent first
+  list(now = Date.now()) {
+    return Object.keys(this.tasks)
+      .map(key => this.taskState(key, now))
+      .sort((a, b) => b.fraction - a.fraction);
+  }
+
+  complete(key, by, note = null) {
+    if (!this.tasks[key]) return null;
+    const before = this.taskState(key);
+    this.completions[key] = this.snapshot(by, note);
+    this.save();
+    return before;
+  }
+
+  // Tasks that became due or overdue since the last check (each state reported once)
+  checkDue(now = Date.now()) {
+    const changed = [];
+    this.list(now).forEach(task => {
+      const completion = this.completions[task.key];
+      const notify = task.state === 'ok' ? null : task.state;
+      if (notify !== completion.notified) {
+        completion.notified = notify;
+        if (notify) changed.push(task);
+      }
+    });
+    return changed;
+  }
+}
+
+module.exports = {
+  MaintenanceTracker,
+};
@@ -0,0 +1,100 @@
+/**
+ * Prometheus metrics registry (text exposition format 0.0.4).
+ */
+
+// Minimal registry for the text exposition format. Counters and histograms are updated as things
+// happen; gauges are read from the controller when scraped.
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+class MetricsRegistry {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.metrics = []; // { name, help, type, series: Map(labels key -> { labels, ... }), buckets, collect }
+  }
+
+  register(type, name, help, extra = {}) {
+    const metric = { name: `${this.prefix}_${name}`, help, type, series: new Map(), ...extra };
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  static labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  static series(metric, labels, init) {
+    const key = MetricsRegistry.labelKey(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+    return metric.series.get(key);
+  }
+
+  counter(name, help) {
+    const metric = this.register('counter', name, help);
+    return {
+      inc: (labels = {}, amount = 1) => {
+        MetricsRegistry.series(metric, labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  histogram(name, help, buckets) {
+    const metric = this.register('histogram', name, help, { buckets });
+    return {
+      observe: (labels, value) => {
+        const s = MetricsRegistry.series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((le, i) => { if (value <= le) s.counts[i] += 1; });
+        s.sum += value;
+        s.count += 1;
+      },
+    };
+  }
+
+  // collect() returns [{ labels, value }] at scrape time
+  gauge(name, help, collect) {
+    this.register('gauge', name, help, { collect });
+  }
+
+  static formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+  }
+
+  static formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+  }
+
+  render() {
+    const lines = [];
+    this.metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      const label = MetricsRegistry.formatLabels;
+      const value = MetricsRegistry.formatValue;
+
+      if (metric.type === 'gauge') {
+        metric.collect().forEach(s => lines.push(`${metric.name}${label(s.labels || {})} ${value(s.value)}`));
+      } else if (metric.type === 'counter') {
+        metric.series.forEach(s => lines.push(`${metric.name}${label(s.labels)} ${value(s.value)}`));
+      } else {
+        metric.series.forEach(s => {
+          metric.buckets.forEach((le, i) => {
+            lines.push(`${metric.name}_bucket${label({ ...s.labels, le: value(le) })} ${s.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${label({ ...s.labels, le: '+Inf' })} ${s.count}`);
+          lines.push(`${metric.name}_sum${label(s.labels)} ${value(s.sum)}`);
+          lines.push(`${metric.name}_count${label(s.labels)} ${s.count}`);
+        });
+      }
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  MetricsRegistry,
+};
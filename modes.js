@@ -0,0 +1,541 @@
+/**
+ * Mode definitions: mode files and their validation, the transition sequence run when switching
+ * into a mode, and the timer that reverts a timed mode.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { EQUIPMENT_VALUES, EquipmentState } = require('./equipment');
+const { SENSOR_LOCATIONS } = require('./temperature-sensors');
+const { SETPOINT_MIN, SETPOINT_MAX } = require('./thermostat');
+
+const MODE_FIELDS = ['name', 'description', 'order', 'equipment', 'thermostat', 'transition', 'timer', 'color'];
+const MODE_KEY_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const COLOR_RE = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+class ModeConfig {
+  constructor(key, name, description, order, equipment, color, thermostat = null, transition = null, timer = null) {
+    this.key = key;
+    this.name = name;
+    this.description = description;
+    this.order = order;
+    this.equipment = EquipmentState.fromConfig(equipment);
+    this.color = color;
+    this.thermostat = thermostat; // { setpoint, hysteresis, sensor } or null
+    this.transition = transition; // ordered steps run when switching into this mode, or null for the default
+    this.timer = timer;           // { maxMinutes, fallback } for manual requests, or null for no limit
+  }
+
+  // Invalid files are skipped and reported in `errors` (key -> { file, errors, at })
+  static loadFromDirectory(modesDir, errors = new Map(), timerFallback = TIMER_FALLBACK_DEFAULT) {
+    const modes = new Map();
+    const files = fs.readdirSync(modesDir).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+      const key = path.basename(file, '.json');
+      try {
+        modes.set(key, ModeConfig.loadFile(path.join(modesDir, file), key, modes, timerFallback));
+        errors.delete(key);
+      } catch (err) {
+        errors.set(key, { file, errors: err.errors || [err.message], at: Date.now() });
+        console.error(`Skipping invalid mode file ${file}: ${errors.get(key).errors.join('; ')}`);
+      }
+    }
+
+    return modes;
+  }
+
+  // Read and validate a single mode file; throws with `err.errors` listing every problem
+  static loadFile(modePath, key, modes, timerFallback = TIMER_FALLBACK_DEFAULT) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(modePath, 'utf8'));
+    } catch (err) {
+      throw new Error(err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : err.message);
+    }
+
+    const problems = ModeConfig.validate(key, config, modes, timerFallback);
+    if (problems.length > 0) {
+      const err = new Error(problems.join('; '));
+      err.errors = problems;
+      throw err;
+    }
+    return ModeConfig.fromConfig(key, config);
+  }
+
+  static fromConfig(key, config) {
+    return new ModeConfig(
+      key,
+      config.name,
+      config.description,
+      config.order || 999,
+      config.equipment,
+      config.color,
+      config.thermostat || null,
+      config.transition || null,
+      config.timer || null
+    );
+  }
+
+  // Returns a list of problems with a mode definition; empty when valid.
+  // `modes` is used to check that `order` is unique among the other modes; `timerFallback` is
+  // where a timer without its own fallback reverts to.
+  static validate(key, config, modes = new Map(), timerFallback = TIMER_FALLBACK_DEFAULT) {
+    const errors = [];
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    if (typeof key !== 'string' || !MODE_KEY_RE.test(key)) {
+      errors.push('key must be lowercase letters, digits and dashes');
+    }
+    if (!isObject(config)) {
+      return errors.concat('mode must be a JSON object');
+    }
+
+    const unknown = Object.keys(config).filter(f => !MODE_FIELDS.includes(f));
+    if (unknown.length > 0) {
+      errors.push(`unknown fields: ${unknown.join(', ')}`);
+    }
+    if (typeof config.name !== 'string' || config.name.trim() === '') {
+      errors.push('name must be a non-empty string');
+    }
+    if (config.description !== undefined && typeof config.description !== 'string') {
+      errors.push('description must be a string');
+    }
+    if (!Number.isInteger(config.order) || config.order < 1) {
+      errors.push('order must be a positive integer');
+    } else {
+      const clash = Array.from(modes.values()).find(m => m.key !== key && m.order === config.order);
+      if (clash) errors.push(`order ${config.order} is already used by ${clash.key}`);
+    }
+    if (typeof config.color !== 'string' || !COLOR_RE.test(config.color)) {
+      errors.push('color must be a hex color like #2bd576');
+    }
+
+    if (!isObject(config.equipment)) {
+      errors.push('equipment must be an object');
+    } else {
+      for (const [field, allowed] of Object.entries(EQUIPMENT_VALUES)) {
+        if (!allowed.includes(config.equipment[field])) {
+          errors.push(`equipment.${field} must be one of: ${allowed.join(', ')}`);
+        }
+      }
+      const extra = Object.keys(config.equipment).filter(f => !(f in EQUIPMENT_VALUES));
+      if (extra.length > 0) {
+        errors.push(`unknown equipment fields: ${extra.join(', ')}`);
+      }
+    }
+
+    if (config.thermostat !== undefined && config.thermostat !== null) {
+      const t = config.thermostat;
+      if (!isObject(t)) {
+        errors.push('thermostat must be an object');
+      } else {
+        if (typeof t.setpoint !== 'number' || t.setpoint < SETPOINT_MIN || t.setpoint > SETPOINT_MAX) {
+          errors.push(`thermostat.setpoint must be a number between ${SETPOINT_MIN} and ${SETPOINT_MAX}`);
+        }
+        if (t.hysteresis !== undefined && (typeof t.hysteresis !== 'number' || t.hysteresis <= 0)) {
+          errors.push('thermostat.hysteresis must be a positive number');
+        }
+        if (t.sensor !== undefined && !SENSOR_LOCATIONS.includes(t.sensor)) {
+          errors.push(`thermostat.sensor must be one of: ${SENSOR_LOCATIONS.join(', ')}`);
+        }
+      }
+    }
+
+    if (config.transition !== undefined && config.transition !== null) {
+      errors.push(...TransitionSequence.validate(config.transition));
+    }
+
+    if (config.timer !== undefined && config.timer !== null) {
+      const t = config.timer;
+      if (!isObject(t)) {
+        errors.push('timer must be an object');
+      } else {
+        if (!Number.isInteger(t.maxMinutes) || t.maxMinutes < 1 || t.maxMinutes > TIMER_MAX_MINUTES) {
+          errors.push(`timer.maxMinutes must be an integer between 1 and ${TIMER_MAX_MINUTES}`);
+        }
+        if (t.fallback !== undefined && (typeof t.fallback !== 'string' || !MODE_KEY_RE.test(t.fallback))) {
+          errors.push('timer.fallback must be a mode key');
+        } else if ((t.fallback ?? timerFallback) === key) {
+          errors.push(t.fallback === undefined
+            ? `timer.fallback is required: ${key} is the default timer fallback`
+            : 'timer.fallback must be a different mode');
+        }
+        const extra = Object.keys(t).filter(f => f !== 'maxMinutes' && f !== 'fallback');
+        if (extra.length > 0) {
+          errors.push(`unknown timer fields: ${extra.join(', ')}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // The on-disk JSON shape of a mode file
+  toConfig() {
+    const config = {
+      name: this.name,
+      description: this.description,
+      order: this.order,
+      equipment: { ...this.equipment },
+    };
+    if (this.thermostat) config.thermostat = this.thermostat;
+    if (this.transition) config.transition = this.transition;
+    if (this.timer) config.timer = this.timer;
+    config.color = this.color;
+    return config;
+  }
+
+  summary() {
+    return {
+      key: this.key,
+      name: this.name,
+      description: this.description,
+      color: this.color,
+      order: this.order
+    };
+  }
+
+  static getSortedModes(modes) {
+    return Array.from(modes.values()).sort((a, b) => a.order - b.order);
+  }
+}
+
+// A mode file may declare `transition`, the ordered steps run when switching into the mode:
+//   { "action": "equipment", "set": { "pumpSpeed": "low" } } -> change some outputs
+//   { "action": "valves" }                                    -> start moving the valves to the mode's position
+//   { "action": "waitValves" }                                -> wait until the valves arrive
+//   { "action": "wait", "seconds": 60 }                       -> fixed delay
+//   { "action": "apply" }                                     -> apply the mode's full equipment state
+// Any step may have a "label" and a condition "when": { "from": [keys], "notFrom": [keys], "valvesMove": bool }.
+// Modes without one use DEFAULT_TRANSITION. The switch always waits for the valves before completing.
+const TRANSITION_ACTIONS = ['equipment', 'valves', 'waitValves', 'wait', 'apply'];
+const TRANSITION_STEP_FIELDS = ['action', 'set', 'seconds', 'when', 'label'];
+const TRANSITION_WHEN_FIELDS = ['from', 'notFrom', 'valvesMove'];
+const TRANSITION_MAX_STEPS = 20;
+const TRANSITION_MAX_WAIT_S = 3600;
+const DEFAULT_TRANSITION = [{ action: 'apply' }, { action: 'waitValves' }];
+
+class TransitionSequence {
+  // hooks: {
+  //   current()          -> EquipmentState last requested from the controller
+  //   final()            -> the target mode's equipment with the thermostat applied
+  //   apply(state)       -> start any valve move and drive the outputs
+  //   valvesMove()       -> whether the target valve position differs from the current one
+  //   valveRemainingMs() -> time until the valves arrive (0 when stopped)
+  //   valveTravelMs()    -> time a full valve move takes
+  //   valvesMoving()     -> whether any valve is still travelling
+  //   onStep()           -> progress notification
+  // }
+  // `options.reverting` marks the sequence that takes the equipment back after a cancel.
+  constructor(fromKey, targetMode, hooks, options = {}) {
+    this.from = fromKey;
+    this.target = targetMode;
+    this.reverting = !!options.reverting;
+    this.steps = options.steps || targetMode.transition || DEFAULT_TRANSITION;
+    this.hooks = hooks;
+    this.before = hooks.current(); // equipment requested before the switch, restored on cancel
+    this.aborted = false;
+    this.wake = null;           // resolves the wait in progress early on abort
+    this.index = -1;
+    this.step = null;
+    this.startedAt = null;
+    this.stepStartedAt = null;
+    this.stepEndsAt = null;
+    this.valvesMove = false;    // evaluated once at the start so conditions agree across steps
+    this.valvesStarted = false;
+  }
+
+  static validate(steps) {
+    const errors = [];
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const isKeyList = (v) => Array.isArray(v) && v.every(k => typeof k === 'string' && MODE_KEY_RE.test(k));
+
+    if (!Array.isArray(steps)) {
+      return ['transition must be an array of steps'];
+    }
+    if (steps.length === 0 || steps.length > TRANSITION_MAX_STEPS) {
+      errors.push(`transition must have 1-${TRANSITION_MAX_STEPS} steps`);
+    }
+
+    steps.forEach((step, i) => {
+      const where = `transition[${i}]`;
+      if (!isObject(step)) {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      const unknown = Object.keys(step).filter(f => !TRANSITION_STEP_FIELDS.includes(f));
+      if (unknown.length > 0) {
+        errors.push(`${where}: unknown fields: ${unknown.join(', ')}`);
+      }
+      if (!TRANSITION_ACTIONS.includes(step.action)) {
+        errors.push(`${where}.action must be one of: ${TRANSITION_ACTIONS.join(', ')}`);
+      }
+      if (step.label !== undefined && typeof step.label !== 'string') {
+        errors.push(`${where}.label must be a string`);
+      }
+
+      if (step.action === 'equipment') {
+        if (!isObject(step.set) || Object.keys(step.set).length === 0) {
+          errors.push(`${where}.set must be an object of equipment fields`);
+        } else {
+          for (const [field, value] of Object.entries(step.set)) {
+            if (!EQUIPMENT_VALUES[field]) {
+              errors.push(`${where}.set: unknown equipment field ${field}`);
+            } else if (!EQUIPMENT_VALUES[field].includes(value)) {
+              errors.push(`${where}.set.${field} must be one of: ${EQUIPMENT_VALUES[field].join(', ')}`);
+            }
+          }
+        }
+      } else if (step.set !== undefined) {
+        errors.push(`${where}.set is only allowed on equipment steps`);
+      }
+
+      if (step.action === 'wait') {
+        if (typeof step.seconds !== 'number' || !(step.seconds > 0) || step.seconds > TRANSITION_MAX_WAIT_S) {
+          errors.push(`${where}.seconds must be a number between 0 and ${TRANSITION_MAX_WAIT_S}`);
+        }
+      } else if (step.seconds !== undefined) {
+        errors.push(`${where}.seconds is only allowed on wait steps`);
+      }
+
+      if (step.when !== undefined) {
+        const when = step.when;
+        if (!isObject(when)) {
+          errors.push(`${where}.when must be an object`);
+          return;
+        }
+        const extra = Object.keys(when).filter(f => !TRANSITION_WHEN_FIELDS.includes(f));
+        if (extra.length > 0) {
+          errors.push(`${where}.when: unknown fields: ${extra.join(', ')}`);
+        }
+        if (when.from !== undefined && !isKeyList(when.from)) {
+          errors.push(`${where}.when.from must be a list of mode keys`);
+        }
+        if (when.notFrom !== undefined && !isKeyList(when.notFrom)) {
+          errors.push(`${where}.when.notFrom must be a list of mode keys`);
+        }
+        if (when.valvesMove !== undefined && typeof when.valvesMove !== 'boolean') {
+          errors.push(`${where}.when.valvesMove must be a boolean`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  static describe(step) {
+    if (step.label) return step.label;
+    switch (step.action) {
+      case 'equipment':
+        return 'Set ' + Object.entries(step.set).map(([field, value]) => `${field} ${value}`).join(', ');
+      case 'valves': return 'Move valves';
+      case 'waitValves': return 'Wait for valves';
+      case 'wait': return `Wait ${step.seconds}s`;
+      case 'apply': return 'Apply mode equipment';
+      default: return step.action;
+    }
+  }
+
+  matches(when) {
+    if (!when) return true;
+    if (when.from && !when.from.includes(this.from)) return false;
+    if (when.notFrom && when.notFrom.includes(this.from)) return false;
+    if (when.valvesMove !== undefined && when.valvesMove !== this.valvesMove) return false;
+    return true;
+  }
+
+  // Whether running this step sends the valves toward the target position
+  movesValves(step) {
+    if (step.action === 'valves' || step.action === 'apply') return true;
+    return step.action === 'equipment' && ('inflowValve' in step.set || 'outflowValve' in step.set);
+  }
+
+  // Stop at the current wait; equipment is left as the last step set it
+  abort() {
+    this.aborted = true;
+    if (this.wake) this.wake();
+  }
+
+  delay(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => { this.wake = null; });
+  }
+
+  // Resolves true once every step has run and the valves have arrived, false if aborted
+  async run() {
+    this.startedAt = Date.now();
+    this.valvesMove = this.hooks.valvesMove();
+
+    for (this.index = 0; this.index < this.steps.length; this.index++) {
+      const step = this.steps[this.index];
+      if (!this.matches(step.when)) {
+        console.log(`Transition step ${this.index + 1} skipped: ${TransitionSequence.describe(step)}`);
+        continue;
+      }
+      await this.runStep(step);
+      if (this.aborted) return false;
+    }
+
+    // The switch is not complete until the valves have arrived
+    this.index = this.steps.length - 1;
+    if (this.hooks.valvesMoving()) {
+      await this.runStep({ action: 'waitValves' });
+    }
+    return !this.aborted;
+  }
+
+  async runStep(step) {
+    this.step = step;
+    this.stepStartedAt = Date.now();
+    this.stepEndsAt = null;
+    if (step.action === 'wait') {
+      this.stepEndsAt = this.stepStartedAt + step.seconds * 1000;
+    } else if (step.action === 'waitValves') {
+      this.stepEndsAt = this.stepStartedAt + this.hooks.valveRemainingMs();
+    }
+    console.log(`Transition step ${this.index + 1}/${this.steps.length}: ${TransitionSequence.describe(step)}`);
+    this.hooks.onStep();
+
+    const state = this.hooks.current();
+    switch (step.action) {
+      case 'equipment':
+        Object.assign(state, step.set);
+        this.hooks.apply(state);
+        break;
+      case 'valves':
+        state.inflowValve = this.target.equipment.inflowValve;
+        state.outflowValve = this.target.equipment.outflowValve;
+        this.hooks.apply(state);
+        break;
+      case 'apply':
+        this.hooks.apply(this.hooks.final());
+        break;
+      case 'wait':
+        await this.delay(step.seconds * 1000);
+        break;
+      case 'waitValves':
+        // Valves settle on their own timers; re-check in case one was retargeted meanwhile
+        while (!this.aborted && this.hooks.valvesMoving()) {
+          await this.delay(Math.max(10, this.hooks.valveRemainingMs()));
+        }
+        break;
+    }
+    if (this.movesValves(step)) {
+      this.valvesStarted = true;
+    }
+  }
+
+  // Estimated time left: the current step, later waits, and the valves wherever they gate progress
+  getState() {
+    const now = Date.now();
+    const stepRemainingMs = this.stepEndsAt ? Math.max(0, this.stepEndsAt - now) : 0;
+    let remainingMs = stepRemainingMs;
+    let valvesAt = this.valvesStarted ? this.hooks.valveRemainingMs() : null;
+
+    for (const step of this.steps.slice(this.index + 1)) {
+      if (!this.matches(step.when)) continue;
+      if (step.action === 'wait') {
+        remainingMs += step.seconds * 1000;
+      } else if (step.action === 'waitValves' && valvesAt !== null) {
+        remainingMs = Math.max(remainingMs, valvesAt);
+      }
+      if (valvesAt === null && this.valvesMove && this.movesValves(step)) {
+        valvesAt = remainingMs + this.hooks.valveTravelMs();
+      }
+    }
+    if (valvesAt !== null) {
+      remainingMs = Math.max(remainingMs, valvesAt);
+    }
+
+    return {
+      from: this.from,
+      target: this.target.key,
+      reverting: this.reverting,
+      step: this.index + 1,
+      steps: this.steps.length,
+      action: this.step ? this.step.action : null,
+      label: this.step ? TransitionSequence.describe(this.step) : null,
+      startedAt: this.startedAt,
+      stepStartedAt: this.stepStartedAt,
+      stepRemainingMs,
+      remainingMs,
+    };
+  }
+}
+
+// A timed mode reverts to its fallback when the timer lapses. Timers are plain data
+// ({ mode, fallback, startedAt, expiresAt, maxMinutes }) so they can be persisted and restored.
+const TIMER_MAX_MINUTES = 24 * 60;
+const TIMER_FALLBACK_DEFAULT = 'auto';
+const TIMER_EXTEND_MINUTES = 30;
+
+class ModeTimer {
+  constructor(onExpire, onChange = () => {}) {
+    this.onExpire = onExpire; // (timer) => revert
+    this.onChange = onChange;
+    this.current = null;
+    this.timeout = null;
+  }
+
+  start(mode, minutes, fallback, maxMinutes = TIMER_MAX_MINUTES, now = Date.now()) {
+    this.set({ mode, fallback, startedAt: now, expiresAt: now + minutes * 60_000, maxMinutes });
+  }
+
+  // Install a timer (or null); one that has already lapsed expires on the next tick
+  set(timer) {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    this.current = timer;
+    if (timer) {
+      this.timeout = setTimeout(() => this.expire(), Math.max(0, timer.expiresAt - Date.now()));
+    }
+    this.onChange(this.current);
+  }
+
+  // Push the expiry out by `minutes`, clamped to maxMinutes from now
+  extend(minutes, now = Date.now()) {
+    if (!this.current) {
+      throw new Error('No mode timer is running');
+    }
+    const expiresAt = Math.min(
+      Math.max(now, this.current.expiresAt) + minutes * 60_000,
+      now + this.current.maxMinutes * 60_000
+    );
+    this.set({ ...this.current, expiresAt });
+    return this.current;
+  }
+
+  clear() {
+    if (this.current) this.set(null);
+  }
+
+  expire() {
+    const timer = this.current;
+    this.timeout = null;
+    this.current = null;
+    this.onChange(null);
+    if (timer) this.onExpire(timer);
+  }
+
+  getState(now = Date.now()) {
+    if (!this.current) return null;
+    return { ...this.current, remainingMs: Math.max(0, this.current.expiresAt - now) };
+  }
+}
+
+module.exports = {
+  MODE_KEY_RE,
+  ModeConfig,
+  DEFAULT_TRANSITION,
+  TransitionSequence,
+  TIMER_MAX_MINUTES,
+  TIMER_FALLBACK_DEFAULT,
+  TIMER_EXTEND_MINUTES,
+  ModeTimer,
+};
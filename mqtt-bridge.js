@@ -0,0 +1,223 @@
+/**
+ * Optional MQTT bridge for the pool controller.
+ *
+ * Publishes (retained) under <prefix>/:
+ *   availability              -> online | offline (last will)
+ *   mode, target, busy        -> current mode key, transition target, true/false
+ *   equipment                 -> EquipmentState JSON
+ *   equipment/<field>         -> pump, pumpSpeed, inflowValve, outflowValve, heater
+ *   gpio                      -> GPIO state JSON
+ *   valve/<actuator>/percent  -> suction, return: 0..100 (pool..spa)
+ *   valve/percent             -> deprecated: the valve that arrives last, as before the split
+ *
+ * Subscribes (unless readOnly):
+ *   mode/set                  -> payload is a mode key
+ *   equipment/<field>/set     -> payload is the new state (same values as POST /equipment/:type)
+ *
+ * Commands carry no user identity: the controller's roles do not apply, so the broker ACL decides
+ * who may publish to the .../set topics.
+ *
+ * Home Assistant discovery configs are published under <discoveryPrefix>/ on connect, and again
+ * whenever the mode list changes.
+ *
+ * Try it against a local broker:
+ *   mosquitto -v
+ *   MQTT_URL=mqtt://localhost:1883 SIMULATOR_MODE=true node pool-controller.js
+ *   mosquitto_sub -v -t 'pool/#' -t 'homeassistant/#'
+ *   mosquitto_pub -t pool/mode/set -m spa
+ */
+
+const EQUIPMENT_FIELDS = ['pump', 'pumpSpeed', 'inflowValve', 'outflowValve', 'heater'];
+const VALVE_ACTUATORS = ['suction', 'return'];
+const VALVE_PUBLISH_MS = 2_000; // republish interpolated valve percent while moving
+
+class MqttBridge {
+  constructor(options) {
+    this.url = options.url;
+    this.username = options.username;
+    this.password = options.password;
+    this.prefix = options.prefix || 'pool';
+    this.discoveryPrefix = options.discoveryPrefix || 'homeassistant';
+    this.nodeId = options.nodeId || this.prefix.replace(/[^a-zA-Z0-9_-]/g, '_');
+    this.readOnly = !!options.readOnly; // publish only, ignore command topics
+    this.mqtt = options.mqtt || null;   // client library; defaults to the "mqtt" package
+
+    // Controller callbacks
+    this.getStatus = options.getStatus;
+    this.requestMode = options.requestMode;
+    this.setEquipment = options.setEquipment;
+
+    this.client = null;
+    this.published = new Map(); // topic -> last payload, to skip unchanged retained values
+    this.valveTimer = null;
+  }
+
+  topic(suffix) {
+    return `${this.prefix}/${suffix}`;
+  }
+
+  start() {
+    let mqtt = this.mqtt;
+    try {
+      mqtt = mqtt || require('mqtt');
+    } catch (err) {
+      console.error('MQTT bridge disabled: the "mqtt" package is not installed');
+      return;
+    }
+
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      will: { topic: this.topic('availability'), payload: 'offline', retain: true, qos: 1 },
+    });
+
+    this.client.on('connect', () => {
+      console.log(`MQTT connected to ${this.url}`);
+      this.published.clear();
+      this.publish('availability', 'online');
+      this.publishDiscovery();
+      this.publishStatus();
+      if (!this.readOnly) {
+        this.client.subscribe([this.topic('mode/set'), this.topic('equipment/+/set')]);
+      }
+    });
+
+    this.client.on('message', (topic, payload) => this.handleCommand(topic, payload.toString().trim()));
+    this.client.on('error', (err) => console.error('MQTT error:', err.message));
+  }
+
+  stop() {
+    clearInterval(this.valveTimer);
+    this.valveTimer = null;
+    if (this.client) {
+      this.publish('availability', 'offline');
+      this.client.end();
+      this.client = null;
+    }
+  }
+
+  // Runs inside the client's 'message' handler, so a failing command is logged rather than thrown
+  handleCommand(topic, payload) {
+    try {
+      if (topic === this.topic('mode/set')) {
+        console.log(`MQTT: mode request ${payload}`);
+        this.requestMode(payload);
+        return;
+      }
+
+      const field = EQUIPMENT_FIELDS.find(f => topic === this.topic(`equipment/${f}/set`));
+      if (field) {
+        console.log(`MQTT: ${field} -> ${payload}`);
+        this.setEquipment(field, payload);
+      }
+    } catch (err) {
+      console.error(`MQTT: command on ${topic} failed:`, err.message);
+    }
+  }
+
+  publish(suffix, value) {
+    this.publishTopic(this.topic(suffix), value);
+  }
+
+  // Publish a retained value, skipping it if unchanged since the last publish
+  publishTopic(topic, value) {
+    if (!this.client || !this.client.connected) return;
+    const payload = typeof value === 'string' ? value : JSON.stringify(value);
+    if (this.published.get(topic) === payload) return;
+    this.published.set(topic, payload);
+    this.client.publish(topic, payload, { retain: true, qos: 1 });
+  }
+
+  publishStatus() {
+    if (!this.client || !this.client.connected) return;
+    const status = this.getStatus();
+
+    this.publish('mode', status.mode);
+    this.publish('target', status.target || '');
+    this.publish('busy', String(status.busy));
+    this.publish('equipment', status.equipment);
+    EQUIPMENT_FIELDS.forEach(field => this.publish(`equipment/${field}`, String(status.equipment[field])));
+    this.publish('gpio', status.gpio);
+    VALVE_ACTUATORS.forEach(name => {
+      this.publish(`valve/${name}/percent`, String(Math.round(status.valves[name].percent)));
+    });
+    this.publish('valve/percent', String(Math.round(status.valve.percent)));
+
+    // Keep the valve sensors moving in Home Assistant during a transition
+    const moving = VALVE_ACTUATORS.some(name => status.valves[name].moving);
+    if (moving && !this.valveTimer) {
+      this.valveTimer = setInterval(() => this.publishStatus(), VALVE_PUBLISH_MS);
+    } else if (!moving && this.valveTimer) {
+      clearInterval(this.valveTimer);
+      this.valveTimer = null;
+    }
+  }
+
+  publishDiscovery() {
+    if (!this.client || !this.client.connected) return;
+    const status = this.getStatus();
+    const device = {
+      identifiers: [this.nodeId],
+      name: 'Pool Controller',
+      manufacturer: 'rpi-pool-controller',
+    };
+    const common = {
+      availability_topic: this.topic('availability'),
+      device,
+    };
+    const config = (component, objectId, body) => {
+      const topic = `${this.discoveryPrefix}/${component}/${this.nodeId}/${objectId}/config`;
+      this.publishTopic(topic, { ...common, unique_id: `${this.nodeId}_${objectId}`, ...body });
+    };
+
+    config('select', 'mode', {
+      name: 'Pool Mode',
+      state_topic: this.topic('mode'),
+      command_topic: this.topic('mode/set'),
+      options: status.modes.map(m => m.key),
+      icon: 'mdi:pool',
+    });
+
+    config('switch', 'pump', {
+      name: 'Pool Pump',
+      state_topic: this.topic('equipment/pump'),
+      command_topic: this.topic('equipment/pump/set'),
+      payload_on: 'on',
+      payload_off: 'off',
+      state_on: 'on',
+      state_off: 'off',
+      icon: 'mdi:pump',
+    });
+
+    config('switch', 'heater', {
+      name: 'Spa Heater',
+      state_topic: this.topic('equipment/heater'),
+      command_topic: this.topic('equipment/heater/set'),
+      payload_on: 'on',
+      payload_off: 'off',
+      state_on: 'on',
+      state_off: 'off',
+      icon: 'mdi:fire',
+    });
+
+    VALVE_ACTUATORS.forEach(name => {
+      config('sensor', `valve_${name}`, {
+        name: `${name[0].toUpperCase()}${name.slice(1)} Valve Position`,
+        state_topic: this.topic(`valve/${name}/percent`),
+        unit_of_measurement: '%',
+        icon: 'mdi:valve',
+      });
+    });
+    // Remove the single valve sensor published by earlier versions
+    this.publishTopic(`${this.discoveryPrefix}/sensor/${this.nodeId}/valve/config`, '');
+
+    config('binary_sensor', 'busy', {
+      name: 'Pool Transition In Progress',
+      state_topic: this.topic('busy'),
+      payload_on: 'true',
+      payload_off: 'false',
+    });
+  }
+}
+
+module.exports = MqttBridge;
@@ -0,0 +1,346 @@
+/**
+ * Output drivers for relay outputs.
+ *
+ * Every driver implements the same synchronous interface:
+ *   init(outputs)        -> claim the outputs (array of { name, line, ... }) and drive them
+ *                           to their inactive level
+ *   write(output, level) -> set the raw line level (0/1); polarity is handled by the caller
+ *   read(output)         -> read the level back from the hardware (or null if unknown)
+ *   release()            -> free the lines/bus
+ *   health()             -> { ok, message }
+ *
+ * Types:
+ *   libgpiod  -> character device via node-libgpiod; output.chip selects /dev/gpiochipN
+ *   onoff     -> legacy sysfs via onoff; options.base is added to output.line (Pi kernels >= 6.6
+ *                number sysfs GPIOs from 512)
+ *   mcp23017  -> I2C relay expander via i2c-bus; options.bus, options.address, output.line 0..15
+ *   mock      -> in-memory; records every write with a timestamp (simulator and tests)
+ *
+ * OutputBank maps each named output to the driver instance selected in hardware.json.
+ */
+
+class LibgpiodDriver {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'libgpiod';
+    this.options = options;
+    this.chips = {}; // chip number -> gpiod.Chip
+    this.lines = {}; // output name -> gpiod.Line
+    this.lastError = null;
+  }
+
+  init(outputs) {
+    const gpiod = require('node-libgpiod');
+    for (const output of outputs) {
+      if (!this.chips[output.chip]) {
+        this.chips[output.chip] = new gpiod.Chip(output.chip);
+      }
+      const line = this.chips[output.chip].getLine(output.line);
+      line.requestOutputMode();
+      this.lines[output.name] = line;
+      line.setValue(output.inactiveLevel);
+    }
+  }
+
+  write(output, level) {
+    this.lines[output.name].setValue(level);
+  }
+
+  read(output) {
+    return this.lines[output.name].getValue();
+  }
+
+  release() {
+    Object.values(this.lines).forEach(line => line.release());
+    this.lines = {};
+  }
+
+  health() {
+    return { ok: !this.lastError, message: this.lastError || `${Object.keys(this.lines).length} lines claimed` };
+  }
+}
+
+class OnoffDriver {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'onoff';
+    this.base = options.base || 0;
+    this.gpios = {}; // output name -> onoff Gpio
+    this.lastError = null;
+  }
+
+  init(outputs) {
+    const { Gpio } = require('onoff');
+    if (!Gpio.accessible) {
+      throw new Error('sysfs GPIO is not accessible');
+    }
+    for (const output of outputs) {
+      // 'high'/'low' configures the line as an output with that initial level
+      this.gpios[output.name] = new Gpio(this.base + output.line, output.inactiveLevel ? 'high' : 'low');
+    }
+  }
+
+  write(output, level) {
+    this.gpios[output.name].writeSync(level);
+  }
+
+  read(output) {
+    return this.gpios[output.name].readSync();
+  }
+
+  release() {
+    Object.values(this.gpios).forEach(gpio => gpio.unexport());
+    this.gpios = {};
+  }
+
+  health() {
+    return { ok: !this.lastError, message: this.lastError || `${Object.keys(this.gpios).length} sysfs GPIOs exported` };
+  }
+}
+
+// MCP23017 registers with IOCON.BANK = 0 (power-on default)
+const MCP23017 = {
+  IODIRA: 0x00,
+  IODIRB: 0x01,
+  OLATA: 0x14,
+  OLATB: 0x15,
+};
+
+class Mcp23017Driver {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'mcp23017';
+    this.busNumber = options.bus ?? 1;
+    this.address = options.address ?? 0x20;
+    this.bus = null;
+    this.olat = [0x00, 0x00]; // cached output latches for ports A and B
+    this.iodir = [0xff, 0xff]; // 1 = input (power-on default)
+    this.lastError = null;
+  }
+
+  static port(line) {
+    return line < 8 ? 0 : 1;
+  }
+
+  init(outputs) {
+    const i2c = require('i2c-bus');
+    this.bus = i2c.openSync(this.busNumber);
+
+    for (const output of outputs) {
+      if (output.line < 0 || output.line > 15) {
+        throw new Error(`${output.name}: MCP23017 line must be 0-15`);
+      }
+      const port = Mcp23017Driver.port(output.line);
+      const bit = 1 << (output.line % 8);
+      this.olat[port] = output.inactiveLevel ? (this.olat[port] | bit) : (this.olat[port] & ~bit);
+      this.iodir[port] &= ~bit;
+    }
+
+    // Latch the inactive levels before switching the pins to outputs so relays never glitch on
+    this.bus.writeByteSync(this.address, MCP23017.OLATA, this.olat[0]);
+    this.bus.writeByteSync(this.address, MCP23017.OLATB, this.olat[1]);
+    this.bus.writeByteSync(this.address, MCP23017.IODIRA, this.iodir[0]);
+    this.bus.writeByteSync(this.address, MCP23017.IODIRB, this.iodir[1]);
+  }
+
+  write(output, level) {
+    const port = Mcp23017Driver.port(output.line);
+    const bit = 1 << (output.line % 8);
+    this.olat[port] = level ? (this.olat[port] | bit) : (this.olat[port] & ~bit);
+    this.bus.writeByteSync(this.address, port === 0 ? MCP23017.OLATA : MCP23017.OLATB, this.olat[port]);
+  }
+
+  read(output) {
+    const port = Mcp23017Driver.port(output.line);
+    const value = this.bus.readByteSync(this.address, port === 0 ? MCP23017.OLATA : MCP23017.OLATB);
+    return (value >> (output.line % 8)) & 1;
+  }
+
+  release() {
+    if (this.bus) {
+      this.bus.closeSync();
+      this.bus = null;
+    }
+  }
+
+  health() {
+    if (!this.bus) return { ok: false, message: 'I2C bus not open' };
+    return {
+      ok: !this.lastError,
+      message: this.lastError || `bus ${this.busNumber} address 0x${this.address.toString(16)}`,
+    };
+  }
+}
+
+class MockDriver {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'mock';
+    this.maxWrites = options.maxWrites || 1000;
+    this.levels = {}; // output name -> level
+    this.writes = []; // { output, level, at }
+    this.lastError = null;
+  }
+
+  init(outputs) {
+    outputs.forEach(output => {
+      this.levels[output.name] = output.inactiveLevel;
+    });
+  }
+
+  write(output, level) {
+    this.levels[output.name] = level;
+    this.writes.push({ output: output.name, level, at: Date.now() });
+    if (this.writes.length > this.maxWrites) {
+      this.writes.shift();
+    }
+  }
+
+  read(output) {
+    return this.levels[output.name] ?? null;
+  }
+
+  release() {}
+
+  health() {
+    return { ok: !this.lastError, message: this.lastError || `${this.writes.length} writes recorded` };
+  }
+
+  clearWrites() {
+    this.writes = [];
+  }
+}
+
+const DRIVER_TYPES = {
+  libgpiod: LibgpiodDriver,
+  onoff: OnoffDriver,
+  mcp23017: Mcp23017Driver,
+  mock: MockDriver,
+};
+
+function createDriver(name, config = {}) {
+  const Driver = DRIVER_TYPES[config.type];
+  if (!Driver) {
+    throw new Error(`Unknown output driver type: ${config.type}`);
+  }
+  return new Driver(name, config);
+}
+
+class OutputBank {
+  // outputs: name -> { name, line, chip, activeLow, driver }; drivers: instance name -> config
+  constructor(outputs, drivers) {
+    this.outputs = {};
+    this.drivers = {};
+    this.errors = {}; // output name -> last write error, cleared by that output's next good write
+
+    for (const output of Object.values(outputs)) {
+      const driverName = output.driver;
+      if (!this.drivers[driverName]) {
+        this.drivers[driverName] = createDriver(driverName, drivers[driverName]);
+      }
+      this.outputs[output.name] = { ...output, inactiveLevel: output.activeLow ? 1 : 0 };
+    }
+  }
+
+  // Same outputs, every one on a single mock driver (simulator mode)
+  static mock(outputs) {
+    const mocked = {};
+    Object.values(outputs).forEach(o => { mocked[o.name] = { ...o, driver: 'mock' }; });
+    return new OutputBank(mocked, { mock: { type: 'mock' } });
+  }
+
+  outputsFor(driverName) {
+    return Object.values(this.outputs).filter(o => o.driver === driverName);
+  }
+
+  // Initialize every driver; on failure releases what was claimed (including whatever the
+  // failing driver claimed before it threw) and rethrows
+  init() {
+    const started = [];
+    try {
+      for (const [name, driver] of Object.entries(this.drivers)) {
+        started.push(driver);
+        driver.init(this.outputsFor(name));
+      }
+    } catch (err) {
+      started.forEach(driver => {
+        try { driver.release(); } catch {}
+      });
+      throw err;
+    }
+  }
+
+  driverFor(name) {
+    return this.drivers[this.outputs[name].driver];
+  }
+
+  // Write a raw level and verify it by reading it back; returns false on mismatch or error
+  write(name, level) {
+    const output = this.outputs[name];
+    const driver = this.driverFor(name);
+    try {
+      driver.write(output, level);
+      const actual = driver.read(output);
+      if (actual !== null && actual !== level) {
+        this.setError(name, `${name} read back ${actual} after writing ${level}`);
+        console.error(`Output driver ${driver.name}: ${this.errors[name]}`);
+        return false;
+      }
+      this.setError(name, null);
+      return true;
+    } catch (err) {
+      this.setError(name, `${name}: ${err.message}`);
+      console.error(`Output driver ${driver.name} write failed:`, this.errors[name]);
+      return false;
+    }
+  }
+
+  // A driver's lastError covers all of its outputs, so a good write on one output does not hide
+  // another output that is still failing
+  setError(name, message) {
+    if (message) this.errors[name] = message;
+    else delete this.errors[name];
+
+    const driverName = this.outputs[name].driver;
+    const failing = this.outputsFor(driverName).map(o => this.errors[o.name]).filter(Boolean);
+    this.drivers[driverName].lastError = failing.length ? failing.join('; ') : null;
+  }
+
+  read(name) {
+    return this.driverFor(name).read(this.outputs[name]);
+  }
+
+  // Drive every output to its inactive level
+  deenergizeAll() {
+    Object.keys(this.outputs).forEach(name => this.write(name, this.outputs[name].inactiveLevel));
+  }
+
+  release() {
+    Object.values(this.drivers).forEach(driver => {
+      try {
+        driver.release();
+      } catch (err) {
+        console.error(`Output driver ${driver.name} release failed:`, err.message);
+      }
+    });
+  }
+
+  health() {
+    return Object.entries(this.drivers).map(([name, driver]) => ({
+      driver: name,
+      type: driver.type,
+      outputs: this.outputsFor(name).map(o => o.name),
+      ...driver.health(),
+    }));
+  }
+}
+
+module.exports = {
+  LibgpiodDriver,
+  OnoffDriver,
+  Mcp23017Driver,
+  MockDriver,
+  OutputBank,
+  DRIVER_TYPES,
+  createDriver,
+};
@@ -0,0 +1,34 @@
+/**
+ * Atomic JSON writes and the controller state file.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Write via a temp file and rename so a power cut never leaves a half-written file
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+class StateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  save(state) {
+    writeJsonAtomic(this.filePath, { ...state, savedAt: Date.now() });
+  }
+}
+
+module.exports = {
+  writeJsonAtomic,
+  StateStore,
+};
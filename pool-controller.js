@@ -1,157 +1,177 @@
 #!/usr/bin/env node
 /**
- * SPA control REST API + UI using libgpiod.
+ * SPA control REST API + UI. Relay outputs go through the drivers in output-drivers.js.
  *   GET /           -> serves templates/index.html
- *   GET /spa/on     -> start spa ON sequence (non-blocking)
- *   GET /spa/off    -> start spa OFF sequence (non-blocking)
- *   GET /status     -> { ok, state, busy, target, valve: { suction, return }, valveWaitMs }
+ *
+ * API routes live under /api/v1 (also served unversioned for existing scripts). Mutations are
+ * POST/PUT/DELETE with a JSON body and an optional Idempotency-Key header.
+ *   GET    /status        -> { ok, mode, busy, target, transition, equipment, gpio, valves, ... }
+ *                            (valves: suction and return actuator positions and timelines; the
+ *                            single `valve` timeline and `valveWaitMs` are deprecated aliases)
+ *                            (transition: current step and estimated remaining time while busy)
+ *                            (circulation: today's progress toward the turnover quota in circulation.json,
+ *                            which runs the pump in auto inside the allowed windows until met)
+ *   GET    /health        -> { status: healthy | degraded | failed, checks, safeState } (503 when failed);
+ *                            checks: event-loop lag, output drivers, stalled transition, stale probes.
+ *                            Failed checks for 15s force the safe state (SAFE_STATE_ACTION=none to only report)
+ *   GET    /metrics       -> Prometheus text format: output states, mode, valve percent, busy and simulator
+ *                            gauges, transition duration histogram, mode switch, error and HTTP request counters
+ *   POST   /mode          -> start a mode switch { mode } (non-blocking); while another switch runs,
+ *                            { redirect: true } retargets it and { queue: true } runs it afterwards (one slot)
+ *   POST   /transition/cancel -> abort the running switch and put the equipment back as it was
+ *                            POST /mode also takes { durationMinutes }; modes with a `timer` get their
+ *                            maxMinutes by default and revert to the timer's fallback when it lapses
+ *   POST   /timer/extend  -> push the mode timer out { minutes } (default 30), capped at the mode's maxMinutes
+ *                            from now; the response adds extendedMinutes
+ *   POST   /timer/cancel  -> stop the mode timer (the mode stays on)
+ *   POST   /equipment/:type -> manual override { state } (switches to service mode)
+ *   POST   /simulator     -> { enabled }
+ *   GET    /hardware      -> output mapping from hardware.json { name, label, driver, chip, line, polarity }
+ *                            and driver health
+ *   GET    /modes, GET /modes/:key -> mode summaries / full definition
+ *   POST   /modes/:key, PUT /modes/:key, DELETE /modes/:key -> manage mode files (admin)
+ *   GET    /modes/errors  -> mode files skipped by validation (modes/ is watched and hot-reloaded)
+ *   GET    /schedules     -> list recurring schedule entries
+ *   POST   /schedules     -> create schedule entry { days, start, end, mode, endMode, enabled }
+ *   PUT    /schedules/:id -> update schedule entry
+ *   DELETE /schedules/:id -> remove schedule entry
+ *   GET    /temperatures  -> latest DS18B20 readings by location
+ *   GET    /history       -> event log, newest first ?from&to&type&limit&before (before = `next` cursor
+ *                            from the previous page); mode switches, overrides, simulator, freeze, lockout,
+ *                            maintenance, startup/shutdown. Kept HISTORY_RETENTION_DAYS (90) in
+ *                            data/history.jsonl
+ *   GET    /stats         -> per-output on-time and relay cycles, pump hours per speed (pump.low/high)
+ *                            for today, the last 7 days and lifetime (data/stats.json, saved every 5 min)
+ *   POST   /stats/reset   -> zero one lifetime counter { counter }
+ *   GET    /maintenance   -> reminder tasks from maintenance.json, most urgent first; each is due after
+ *                            pump hours, heater hours or days since last done (state ok | due | overdue)
+ *   POST   /maintenance/:task/complete -> mark a task done { note } (logged with who did it)
+ *   POST   /lockout       -> maintenance lockout { enabled, reason }; freeze protection (forced
+ *                            circulation when air/water nears freezing, see sensors.json) stays off while set
+ *   POST   /setpoint      -> change thermostat setpoint { setpoint, mode }
+ *   GET    /events        -> Server-Sent Events: full `status` on connect, then incremental
+ *                            `mode`, `modes`, `equipment`, `valves`, `simulator`, `temperatures`, `lastError`
+ *   POST   /auth/login    -> { username, password } -> session cookie
+ *   POST   /auth/logout   -> end session
+ *   GET    /auth/me       -> current user and role
+ *   GET    /users, POST /users, DELETE /users/:username            (admin)
+ *   POST   /users/:username/password -> { password, currentPassword } (yourself, or anyone as admin)
+ *   POST   /users/:username/tokens, DELETE /users/:username/tokens/:id (admin, bearer API tokens)
+ *   (optional) MQTT bridge with Home Assistant discovery when MQTT_URL is set, see mqtt-bridge.js;
+ *   its command topics are not covered by the roles below, the broker ACL guards them
+ *
+ * Legacy GET /mode/:modeKey, /spa/on and /spa/off are only registered with LEGACY_GET_ROUTES=true.
+ *
+ * Roles: viewer < operator < admin. Status and metrics reads are public; history, stats, maintenance
+ * and schedule reads need viewer; mode changes, equipment overrides, setpoints, schedules, the
+ * maintenance lockout, counter resets and completing maintenance tasks need operator; simulator and
+ * users need admin.
  *
  * Run: sudo node pool-controller.js
+ * Under systemd use Type=notify and e.g. WatchdogSec=30: READY=1 is sent once listening and WATCHDOG=1 at
+ * half the interval while the health checks keep running (needs the optional unix-dgram package).
+ * SIGINT, SIGTERM, SIGHUP and crashes stop safely in order: heater off, pump cool-down, outputs
+ * released, within SHUTDOWN_TIMEOUT_MS (default PUMP_COOLDOWN_MS + 30s, i.e. 330s). Keep the unit's
+ * TimeoutStopSec above it, e.g. TimeoutStopSec=360, or systemd kills the pump mid cool-down.
  */
 
-const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const gpiod = require('node-libgpiod');
-
-// ---- Configuration Classes ----
-class EquipmentState {
-  constructor(pump = 'off', pumpSpeed = 'low', inflowValve = 'pool', outflowValve = 'pool', heater = 'off') {
-    this.pump = pump;
-    this.pumpSpeed = pumpSpeed;
-    this.inflowValve = inflowValve;
-    this.outflowValve = outflowValve;
-    this.heater = heater;
-  }
-
-  static fromConfig(config) {
-    return new EquipmentState(
-      config.pump,
-      config.pumpSpeed,
-      config.inflowValve,
-      config.outflowValve,
-      config.heater
-    );
-  }
-
-  copy() {
-    return new EquipmentState(this.pump, this.pumpSpeed, this.inflowValve, this.outflowValve, this.heater);
-  }
-}
-
-class ModeConfig {
-  constructor(key, name, description, order, equipment, color) {
-    this.key = key;
-    this.name = name;
-    this.description = description;
-    this.order = order;
-    this.equipment = EquipmentState.fromConfig(equipment);
-    this.color = color;
-  }
-
-  static loadFromDirectory(modesDir) {
-    const modes = new Map();
-    const files = fs.readdirSync(modesDir).filter(f => f.endsWith('.json'));
-
-    for (const file of files) {
-      const modePath = path.join(modesDir, file);
-      const config = JSON.parse(fs.readFileSync(modePath, 'utf8'));
-      const key = path.basename(file, '.json');
-
-      modes.set(key, new ModeConfig(
-        key,
-        config.name,
-        config.description,
-        config.order || 999,
-        config.equipment,
-        config.color
-      ));
-    }
+const crypto = require('crypto');
+const express = require('express');
+const MqttBridge = require('./mqtt-bridge');
+const { OutputBank } = require('./output-drivers');
+const {
+  EquipmentState,
+  OUTPUT_NAMES,
+  VALVE_ACTUATORS,
+  HardwareConfig,
+  ValveActuator,
+  PoolController,
+} = require('./equipment');
+const {
+  ModeConfig,
+  DEFAULT_TRANSITION,
+  TransitionSequence,
+  TIMER_MAX_MINUTES,
+  TIMER_FALLBACK_DEFAULT,
+  TIMER_EXTEND_MINUTES,
+  ModeTimer,
+} = require('./modes');
+const { RuntimeStats } = require('./runtime-stats');
+const { MaintenanceTracker } = require('./maintenance');
+const { METRICS_CONTENT_TYPE, MetricsRegistry } = require('./metrics');
+const { EventLoopMonitor, HealthMonitor, SystemdNotifier } = require('./health');
+const { ShutdownManager } = require('./shutdown');
+const { writeJsonAtomic, StateStore } = require('./persistence');
+const { HISTORY_PAGE_SIZE, HISTORY_MAX_PAGE_SIZE, EventHistory } = require('./history');
+const { Scheduler } = require('./scheduler');
+const { TemperatureSensors } = require('./temperature-sensors');
+const { Thermostat } = require('./thermostat');
+const { FreezeProtection } = require('./freeze-protection');
+const { CirculationPlanner } = require('./circulation');
+const { ROLES, SESSION_COOKIE, AuthStore, LoginThrottle, parseCookies } = require('./auth');
+const { idempotency } = require('./idempotency');
 
-    return modes;
-  }
+const app = express();
 
-  static getSortedModes(modes) {
-    return Array.from(modes.values()).sort((a, b) => a.order - b.order);
-  }
+// ---- Hardware config (see hardware.json) ----
+const HARDWARE_CONFIG = process.env.HARDWARE_CONFIG || path.join(__dirname, 'hardware.json');
+let hardware;
+try {
+  hardware = HardwareConfig.load(HARDWARE_CONFIG);
+} catch (err) {
+  // Without a trustworthy pin map we cannot drive anything safely
+  console.error('Failed to load hardware config:', err.message);
+  process.exit(1);
 }
 
-class PoolController {
-  constructor(pins, gpio, simulator = false) {
-    this.pins = pins;
-    this.gpio = gpio;
-    this.simulator = simulator;
-    this.currentState = new EquipmentState();
-    this.gpioStates = {};
-
-    // Initialize GPIO states to 0
-    Object.keys(pins).forEach(pinKey => {
-      this.gpioStates[pinKey] = 0;
-    });
-  }
-
-  setSimulatorMode(enabled) {
-    this.simulator = enabled;
-    console.log(`Simulator mode: ${enabled ? 'ENABLED' : 'DISABLED'}`);
-  }
-
-  applyEquipmentState(equipmentState) {
-    this.currentState = equipmentState.copy();
-
-    // Calculate new GPIO states
-    const newGpioStates = {
-      PUMP: equipmentState.pump === 'on' ? 1 : 0,
-      PUMP_TURBO: (equipmentState.pump === 'on' && equipmentState.pumpSpeed === 'high') ? 1 : 0,
-      RELAY_INFLOW: equipmentState.inflowValve === 'spa' ? 1 : 0,
-      RELAY_OUTFLOW: equipmentState.outflowValve === 'spa' ? 1 : 0,
-      HEATER_SPA: equipmentState.heater === 'on' ? 1 : 0
-    };
-
-    // Update stored GPIO states
-    this.gpioStates = { ...newGpioStates };
-
-    if (this.simulator) {
-      console.log(`[SIMULATOR] Would apply GPIO states:`, newGpioStates);
-      return;
-    }
-
-    // Apply to actual GPIO pins
-    Object.entries(newGpioStates).forEach(([pinKey, state]) => {
-      this.gpio[this.pins[pinKey]].digitalWrite(state);
-    });
-
-    console.log(`Applied state: pump=${equipmentState.pump}/${equipmentState.pumpSpeed}, valves=${equipmentState.inflowValve}/${equipmentState.outflowValve}, heater=${equipmentState.heater}`);
-  }
-
-  applyMode(modeConfig) {
-    this.applyEquipmentState(modeConfig.equipment);
-  }
-
-  getCurrentState() {
-    return this.currentState.copy();
-  }
-
-  getGpioStates() {
-    return { ...this.gpioStates };
+const PUMP_COOLDOWN_MS = parseInt(process.env.PUMP_COOLDOWN_MS, 10) || 5 * 60_000; // pump run-on after heater off
+const PORT = process.env.PORT || 8080;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const MODES_DIR = process.env.MODES_DIR || path.join(__dirname, 'modes');
+const SCHEDULES_FILE = process.env.SCHEDULES_FILE || path.join(DATA_DIR, 'schedules.json');
+const STATE_FILE = process.env.STATE_FILE || path.join(DATA_DIR, 'state.json');
+const USERS_FILE = process.env.USERS_FILE || path.join(DATA_DIR, 'users.json');
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(DATA_DIR, 'history.jsonl');
+const STATS_FILE = process.env.STATS_FILE || path.join(DATA_DIR, 'stats.json');
+const STATS_PERSIST_MS = 5 * 60_000; // runtime counters are flushed to disk this often
+const MAINTENANCE_FILE = process.env.MAINTENANCE_FILE || path.join(DATA_DIR, 'maintenance-log.json');
+const MAINTENANCE_CHECK_MS = 10 * 60_000; // how often tasks are checked for coming due
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 90;
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true'; // development only: everyone is admin
+const LEGACY_GET_ROUTES = process.env.LEGACY_GET_ROUTES === 'true'; // re-enable GET /mode/:key, /spa/on, /spa/off
+const BOOT_MODE = process.env.BOOT_MODE || null; // force this mode at boot instead of restoring the last one
+const TIMER_FALLBACK_MODE = process.env.TIMER_FALLBACK_MODE || TIMER_FALLBACK_DEFAULT; // where timed modes revert by default
+const SENSORS_CONFIG = process.env.SENSORS_CONFIG || path.join(__dirname, 'sensors.json');
+const CIRCULATION_CONFIG = process.env.CIRCULATION_CONFIG || path.join(__dirname, 'circulation.json');
+const MAINTENANCE_CONFIG = process.env.MAINTENANCE_CONFIG || path.join(__dirname, 'maintenance.json');
+const HEALTH_CHECK_MS = 5_000;
+const HEALTH_FAIL_CHECKS = 3;           // consecutive failed checks before the safe-state action
+const HEALTH_RECOVER_MS = 60_000;       // no failed check for this long before leaving the safe state
+const LOOP_LAG_DEGRADED_MS = 200;
+const LOOP_LAG_FAILED_MS = 2_000;
+const TRANSITION_STALL_MS = 60_000;     // a step running this far past its own wait and valve travel
+const SAFE_STATE_ACTION = process.env.SAFE_STATE_ACTION || 'safe-state'; // or 'none' to only report
+const SAFE_STATE_RUN_ON_MS = parseInt(process.env.SAFE_STATE_RUN_ON_MS, 10) || PUMP_COOLDOWN_MS;
+const SHUTDOWN_MARGIN_MS = 30_000;        // time for everything but the pump cool-down
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || PUMP_COOLDOWN_MS + SHUTDOWN_MARGIN_MS; // keep below systemd's TimeoutStopSec
+const THERMOSTAT_HYSTERESIS = 1;          // °F below setpoint before heat is called again
+const THERMOSTAT_MIN_ON_MS = 60_000;
+const THERMOSTAT_MIN_OFF_MS = 120_000;
+const TEMPERATURE_STALE_MS = 5 * 60_000;  // readings older than this are ignored
+
+// The first start creates the admin from ADMIN_PASSWORD; without one nobody could ever sign in,
+// so refuse to start (before touching any output) rather than come up locked
+if (!AUTH_DISABLED && process.env.ADMIN_PASSWORD !== undefined && !fs.existsSync(USERS_FILE)) {
+  try {
+    AuthStore.checkNewPassword(process.env.ADMIN_PASSWORD);
+  } catch (err) {
+    console.error(`Invalid ADMIN_PASSWORD: ${err.message}`);
+    process.exit(1);
   }
 }
 
-const app = express();
-
-// ---- Hardware config (BCM numbering) ----
-const PINS = {
-  RELAY_INFLOW: 25,
-  RELAY_OUTFLOW: 24,
-  //HEATER_SPA:   23,
-  //PUMP:         18,
-  //PUMP_TURBO:   15,
-  PUMP: 23,
-  PUMP_TURBO: 18,
-  HEATER_SPA: 14
-};
-const VALVE_WAIT_MS = 30_000;
-const PORT = process.env.PORT || 8080;
-
 // ---- Simulator mode ----
 let simulatorMode = process.env.SIMULATOR_MODE === 'true' || false;
 const explicitSimulatorMode = simulatorMode; // Track if user explicitly enabled simulator
@@ -163,8 +183,12 @@ if (explicitSimulatorMode) {
 }
 
 // Function to toggle simulator mode
-function toggleSimulatorMode(enabled) {
-  if (!explicitSimulatorMode && !enabled && !gpioHardwareAvailable) {
+function toggleSimulatorMode(enabled, actor = 'system') {
+  // Started in simulator mode: claim the hardware on first use
+  if (!enabled && !gpioHardwareAvailable) {
+    gpioHardwareAvailable = initOutputDrivers();
+  }
+  if (!enabled && !gpioHardwareAvailable) {
     console.log('⚠️  Cannot disable simulator mode: GPIO hardware not available');
     return false;
   }
@@ -172,6 +196,8 @@ function toggleSimulatorMode(enabled) {
   simulatorMode = enabled;
   poolController.setSimulatorMode(enabled);
   console.log(`Simulator mode toggled: ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  history.record('simulator', { actor, enabled });
+  broadcast('simulator', { simulator: simulatorMode, gpioHardwareAvailable });
   return true;
 }
 
@@ -179,50 +205,47 @@ function toggleSimulatorMode(enabled) {
 let modes;
 let poolController;
 
+const modeErrors = new Map(); // mode key -> { file, errors, at } for files that failed validation
+
 try {
-  modes = ModeConfig.loadFromDirectory(path.join(__dirname, 'modes'));
+  modes = ModeConfig.loadFromDirectory(MODES_DIR, modeErrors, TIMER_FALLBACK_MODE);
   console.log(`Loaded ${modes.size} modes:`, Array.from(modes.values()).map(m => m.name).join(', '));
 } catch (err) {
-  console.error('Failed to load modes:', err);
-  process.exit(1);
+  // Keep running with no modes rather than leaving the outputs unmanaged
+  console.error('Failed to read modes directory:', err);
+  modes = new Map();
+}
+if (!modes.has('service')) {
+  console.error('⚠️  No valid service mode: mode switch errors will not fall back to a safe state');
 }
 
-// ---- GPIO init with hardware detection ----
-const gpio = {};
+// ---- Output drivers init ----
+// Hardware outputs use the drivers from hardware.json; simulator mode writes to an in-memory mock
+const outputBank = new OutputBank(hardware.outputs, hardware.drivers);
+const simulatorBank = OutputBank.mock(hardware.outputs);
+simulatorBank.init();
 let gpioHardwareAvailable = false;
 
-// Function to detect GPIO hardware availability
-function detectGpioHardware() {
+// Claim every output through its driver; returns false (nothing left claimed) if any driver fails
+function initOutputDrivers() {
+  console.log('🔌 Initializing output drivers...');
   try {
-    // Check for GPIO device accessibility (gpiod uses /dev/gpiochip*)
-    if (!fs.existsSync('/dev/gpiochip0')) {
-      console.log('GPIO device not accessible - /dev/gpiochip0 not found');
-      return false;
-    }
-
-    // Test if gpiod can actually initialize (this will fail on non-Pi systems)
-    try {
-      const chip = new gpiod.Chip(0);
-      const line = chip.getLine(25);
-      line.requestOutputMode();
-      line.setValue(0);
-      line.release();
-      console.log('GPIO hardware validation successful');
-      return true;
-    } catch (initError) {
-      console.log('GPIO initialization test failed:', initError.message);
-      return false;
-    }
-
+    outputBank.init();
+    Object.values(outputBank.outputs).forEach(output => {
+      const where = output.chip !== null ? `${output.chip}:${output.line}` : output.line;
+      console.log(`${output.driver} ${where} (${output.label}) initialized -> ${output.inactiveLevel ? 'HIGH' : 'LOW'}`);
+    });
+    console.log('✅ Output drivers initialized successfully');
+    return true;
   } catch (error) {
-    console.log('GPIO hardware detection failed:', error.message);
+    console.log('Output driver initialization failed:', error.message);
     return false;
   }
 }
 
-// Check for GPIO hardware unless explicitly in simulator mode
+// Claim the hardware unless explicitly in simulator mode
 if (!simulatorMode) {
-  gpioHardwareAvailable = detectGpioHardware();
+  gpioHardwareAvailable = initOutputDrivers();
 
   if (!gpioHardwareAvailable) {
     console.log('⚠️  GPIO hardware not detected - automatically enabling simulator mode');
@@ -230,214 +253,1205 @@ if (!simulatorMode) {
   }
 }
 
-if (!simulatorMode && gpioHardwareAvailable) {
-  console.log('🔌 Initializing GPIO hardware...');
+if (simulatorMode) {
+  console.log('🎮 Running in SIMULATOR MODE - outputs are written to the in-memory mock driver');
+}
+
+// ---- Runtime statistics init ----
+const runtimeStats = new RuntimeStats(STATS_FILE, [...OUTPUT_NAMES, 'pump.low', 'pump.high']);
+try {
+  runtimeStats.load();
+} catch (err) {
+  console.error('Failed to load runtime stats:', err.message);
+}
+setInterval(() => {
   try {
-    // Open GPIO chip
-    const chip = new gpiod.Chip(0);
-    
-    for (const pin of Object.values(PINS)) {
-      // Get line and configure as output
-      const line = chip.getLine(pin);
-      line.requestOutputMode();
-      line.setValue(0);
-      
-      // Create wrapper object for compatibility
-      gpio[pin] = {
-        line: line,
-        digitalWrite: (value) => line.setValue(value)
-      };
-      
-      console.log(`GPIO ${pin} initialized -> LOW`);
-    }
-    
-    // Store chip reference for cleanup
-    gpio._chip = chip;
-    console.log('✅ GPIO hardware initialized successfully');
-  } catch (error) {
-    console.error('❌ GPIO initialization failed:', error.message);
-    console.log('🔄 Falling back to simulator mode...');
-    simulatorMode = true;
+    runtimeStats.save();
+  } catch (err) {
+    console.error('Failed to save runtime stats:', err.message);
+  }
+}, STATS_PERSIST_MS);
 
-    // Clean up any partially initialized GPIO
-    try {
-      Object.values(gpio).forEach(pinObj => {
-        if (pinObj.line) pinObj.line.release();
-      });
-    } catch {}
+// Initialize pool controller
+poolController = new PoolController(hardware.outputs, outputBank, simulatorMode, {
+  simulatorBank,
+  stats: runtimeStats,
+  cooldownMs: PUMP_COOLDOWN_MS,
+  // The actuators follow the relays actually driven, including interlock and freeze overrides
+  onApply: (result) => {
+    startValveMove(result.state);
+    circulation.record(result.state);
+    broadcast('equipment', equipmentPayload());
+  },
+});
+
+// ---- Temperature sensors init ----
+let sensors;
+let sensorConfig = null;
+try {
+  sensorConfig = TemperatureSensors.loadConfig(SENSORS_CONFIG);
+  sensors = new TemperatureSensors(sensorConfig.w1Path, sensorConfig.probes, sensorConfig.pollMs);
+  console.log(`Reading temperature probes from ${sensorConfig.w1Path}`);
+} catch (err) {
+  console.error('Failed to load sensor config:', err);
+  sensors = new TemperatureSensors('/sys/bus/w1/devices', {});
+}
+sensors.start();
+setInterval(() => broadcast('temperatures', { temperatures: sensors.getReadings() }), sensors.pollMs);
+
+// ---- Thermostat init ----
+const thermostat = new Thermostat(
+  (location) => sensors.getTemperature(location, TEMPERATURE_STALE_MS),
+  { hysteresis: THERMOSTAT_HYSTERESIS, minOnMs: THERMOSTAT_MIN_ON_MS, minOffMs: THERMOSTAT_MIN_OFF_MS }
+);
+
+// ---- Freeze protection init (freezeProtection in sensors.json) ----
+// An invalid section falls back to the defaults rather than leaving the plumbing unprotected
+let freezeConfig = sensorConfig ? sensorConfig.freezeProtection : {};
+const freezeConfigErrors = FreezeProtection.validate(freezeConfig);
+if (freezeConfigErrors.length > 0) {
+  console.error(`Invalid freezeProtection config, using defaults: ${freezeConfigErrors.join('; ')}`);
+  freezeConfig = {};
+}
+const freezeProtection = new FreezeProtection(
+  (location) => sensors.getTemperature(location, TEMPERATURE_STALE_MS),
+  freezeConfig
+);
+let lockout = null; // { by, reason, at } while maintenance is working on the equipment
+
+// ---- Circulation planner init (see circulation.json) ----
+let circulationConfig = { enabled: false };
+try {
+  const loaded = CirculationPlanner.loadConfig(CIRCULATION_CONFIG);
+  if (loaded.errors.length > 0) {
+    console.error(`Invalid circulation config, planner disabled: ${loaded.errors.join('; ')}`);
+  } else {
+    circulationConfig = loaded.config;
   }
+} catch (err) {
+  console.error('Failed to load circulation config:', err.message);
+}
+const circulation = new CirculationPlanner(circulationConfig);
+if (circulation.config.enabled) {
+  console.log(`Circulation quota: ${circulation.quotaGallons()} gal/day (${circulation.config.turnoversPerDay} turnovers) in ${circulation.config.mode}`);
 }
 
-if (simulatorMode) {
-  // Create mock GPIO objects for simulator mode
-  for (const pin of Object.values(PINS)) {
-    gpio[pin] = {
-      digitalWrite: (value) => console.log(`[SIMULATOR] GPIO ${pin} -> ${value ? 'ON' : 'OFF'}`)
-    };
+// ---- Metrics init (GET /metrics) ----
+const metrics = new MetricsRegistry('pool');
+const modeSwitchCounter = metrics.counter('mode_switches_total', 'Mode switches by target mode and result (complete, interrupted, error)');
+const errorCounter = metrics.counter('errors_total', 'Errors recorded as lastError (failed switches, blocked interlocks, timer fallbacks)');
+errorCounter.inc({}, 0); // export 0 rather than nothing until the first error
+const httpRequestCounter = metrics.counter('http_requests_total', 'HTTP requests by method, route and status code');
+const transitionHistogram = metrics.histogram(
+  'transition_duration_seconds',
+  'Duration of completed mode transitions',
+  [5, 10, 20, 30, 45, 60, 90, 120, 180, 300]
+);
+metrics.gauge('output_state', 'Logical state of each output (1 = energized)', () =>
+  Object.entries(poolController.getGpioStates()).map(([output, value]) => ({ labels: { output }, value })));
+metrics.gauge('mode', 'Current mode (1 for the active mode, 0 for the others)', () =>
+  ModeConfig.getSortedModes(modes).map(m => ({ labels: { mode: m.key }, value: m.key === status.mode ? 1 : 0 })));
+metrics.gauge('valve_percent', 'Valve actuator position, 0 = pool .. 100 = spa', () =>
+  Object.values(valves).map(v => ({ labels: { valve: v.name }, value: Math.round(v.currentPercent() * 10) / 10 })));
+metrics.gauge('busy', 'Whether a mode transition is running', () => [{ value: status.busy ? 1 : 0 }]);
+metrics.gauge('simulator', 'Whether outputs go to the simulator instead of the hardware', () => [{ value: simulatorMode ? 1 : 0 }]);
+
+// ---- Server-Sent Events ----
+const SSE_HEARTBEAT_MS = 30_000;
+const sseClients = new Set();
+const statusListeners = []; // in-process subscribers, e.g. the MQTT bridge
+
+function broadcast(event, data) {
+  statusListeners.forEach(listener => listener(event, data));
+  if (sseClients.size === 0) return;
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of sseClients) {
+    res.write(message);
   }
-  console.log('🎮 Running in SIMULATOR MODE - GPIO operations will be logged only');
 }
 
-// Initialize pool controller
-poolController = new PoolController(PINS, gpio, simulatorMode);
+function broadcastModes() {
+  broadcast('modes', {
+    modes: ModeConfig.getSortedModes(modes).map(m => m.summary()),
+    modeErrors: modeErrorList(),
+  });
+}
+
+function modeErrorList() {
+  return Array.from(modeErrors.entries()).map(([key, e]) => ({ key, ...e }));
+}
 
-// ---- Helpers ----
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+function recordError(message) {
+  errorCounter.inc();
+  status.lastError = message;
+  // Not named `error`: EventSource fires onerror for that event name too, dropping clients to polling
+  broadcast('lastError', { lastError: message });
+}
 
 // ---- Status model ----
 const status = {
   mode: 'auto',      // current mode key
   target: null,         // target mode key or null (for transitions)
   busy: false,
+  transition: null,  // running TransitionSequence, if any
+  next: null,        // { mode, revertTo } to start once an interrupted transition stops
+  queued: null,      // { mode, source, at, timer } to start once the current transition completes
+  targetTimer: null, // { minutes, fallback, maxMinutes } the running switch starts on arrival
+  lapsedTimer: null, // mode timer that expired mid-transition, settled once the switch ends
   lastError: null,
 };
 
-// ---- Valve position tracking (server-side; single % drives both suction/return) ----
-const valve = {
-  percent: 0,        // 0..100 stable value when not moving
-  moving: false,
-  from: 0,           // 0..100
-  to: 0,             // 0..100
-  startMs: 0,
-  durationMs: VALVE_WAIT_MS,
-};
-function currentValvePercent() {
-  if (!valve.moving) return valve.percent;
-  const t = Math.max(0, Math.min(1, (Date.now() - valve.startMs) / valve.durationMs));
-  return valve.from + (valve.to - valve.from) * t;
+// ---- Mode timer (auto-revert) ----
+const modeTimer = new ModeTimer(expireModeTimer, () => {
+  broadcast('mode', modePayload());
+  persistState();
+});
+
+function expireModeTimer(timer) {
+  if (status.busy) {
+    // A cancel or redirect can still end in the timed mode; switchToMode settles it when it stops
+    console.log(`Timer for ${timer.mode} lapsed during a transition; reverting if it ends in ${timer.mode}`);
+    status.lapsedTimer = timer;
+    persistState();
+  } else if (status.mode === timer.mode) {
+    const fallback = timerFallback(timer);
+    console.log(`⏰ Timer for ${timer.mode} lapsed; reverting to ${fallback}`);
+    switchToMode(fallback, { actor: 'timer' });
+  }
 }
 
-function statusPayload() {
-  const pct = currentValvePercent(); // float, linear
-  const currentMode = modes.get(status.mode);
-  const targetMode = status.target ? modes.get(status.target) : null;
+function timerFallback(timer) {
+  if (modes.has(timer.fallback)) return timer.fallback;
+  recordError(`Timer fallback mode ${timer.fallback} no longer exists; reverting to service`);
+  return 'service';
+}
 
+// Manual requests get the mode's default timer; an explicit duration may be shorter, never longer.
+// Returns { minutes, fallback, maxMinutes } or null; throws on an invalid duration.
+function resolveModeTimer(mode, durationMinutes) {
+  const maxMinutes = mode.timer ? mode.timer.maxMinutes : TIMER_MAX_MINUTES;
+  if (durationMinutes === undefined || durationMinutes === null) {
+    if (!mode.timer) return null;
+  } else if (typeof durationMinutes !== 'number' || !(durationMinutes > 0) || durationMinutes > maxMinutes) {
+    throw new Error(`durationMinutes must be a number between 0 and ${maxMinutes}`);
+  }
+
+  const fallback = (mode.timer && mode.timer.fallback) || TIMER_FALLBACK_MODE;
+  if (fallback === mode.key) {
+    throw new Error(`Mode ${mode.key} is the timer fallback and cannot be timed`);
+  }
+  return { minutes: durationMinutes ?? maxMinutes, fallback, maxMinutes };
+}
+
+function startModeTimer(modeKey, timer) {
+  modeTimer.start(modeKey, timer.minutes, timer.fallback, timer.maxMinutes);
+  console.log(`Timer: ${modeKey} reverts to ${timer.fallback} in ${timer.minutes} min`);
+}
+
+// The mode's own timer for switches nobody chose a duration for (scheduler, boot); null if untimed
+function defaultModeTimer(modeKey) {
+  try {
+    return resolveModeTimer(modes.get(modeKey));
+  } catch (err) {
+    console.error(`Timer: ${err.message}`);
+    return null;
+  }
+}
+
+// ---- Valve position tracking (server-side, one timeline per actuator) ----
+const valves = {};
+Object.entries(VALVE_ACTUATORS).forEach(([name, field]) => {
+  valves[name] = new ValveActuator(name, field, hardware.valves[name].travelMs, () => {
+    broadcast('valves', valvesPayload());
+    persistState();
+  });
+});
+
+// ---- Partial payloads (shared by /status and the event stream) ----
+function modePayload() {
   return {
-    ok: true,
     mode: status.mode,
     busy: status.busy,
     target: status.target,
+    transition: status.transition ? status.transition.getState() : null,
+    queued: status.queued,
+    timer: modeTimer.getState(),
+  };
+}
+
+function equipmentPayload() {
+  return {
     equipment: poolController.getCurrentState(),
     gpio: poolController.getGpioStates(),
-    serverNow: Date.now(),
-    valveWaitMs: VALVE_WAIT_MS,
-    valve: {
-      percent: pct,            // float, 0..100
-      moving: valve.moving,
-      from: valve.from,
-      to: valve.to,
-      startMs: valve.startMs,
-      durationMs: valve.durationMs,
-    },
-    modes: ModeConfig.getSortedModes(modes).map(m => ({
-      key: m.key,
-      name: m.name,
-      description: m.description,
-      color: m.color,
-      order: m.order
-    })),
+    interlock: poolController.getInterlockState(),
+    thermostat: thermostat.getState(),
+    freeze: freezeProtection.getState(),
+    lockout,
+    circulation: circulation.getState(),
+  };
+}
+
+function valvesPayload() {
+  const payload = { serverNow: Date.now(), valves: {}, ...legacyValvePayload() };
+  Object.values(valves).forEach(v => { payload.valves[v.name] = v.toJSON(); });
+  return payload;
+}
+
+// Deprecated: the single valve timeline from before suction and return were tracked apart. Reports
+// the actuator that arrives last (or the one nearer pool when both are still), so `valve.percent`
+// only reaches 100 once both valves are on spa.
+function legacyValvePayload() {
+  const list = Object.values(valves);
+  const moving = list.filter(v => v.moving);
+  const lead = moving.length > 0
+    ? moving.reduce((a, b) => (b.remainingMs() > a.remainingMs() ? b : a))
+    : list.reduce((a, b) => (b.percent < a.percent ? b : a));
+  const { travelMs, ...valve } = lead.toJSON();
+  return { valve, valveWaitMs: Math.max(...list.map(v => v.travelMs)) };
+}
+
+function statusPayload() {
+  return {
+    ok: true,
+    ...modePayload(),
+    ...equipmentPayload(),
+    ...valvesPayload(),
+    modes: ModeConfig.getSortedModes(modes).map(m => m.summary()),
+    modeErrors: modeErrorList(),
     simulator: simulatorMode,
     gpioHardwareAvailable: gpioHardwareAvailable,
+    temperatures: sensors.getReadings(),
+    nextScheduledChange: scheduler.getNextChange(),
+    pendingSchedule: scheduler.pending,
     lastError: status.lastError,
   };
 }
 
-// ---- Mode switching ----
-function getValvePercentForMode(modeKey) {
-  const mode = modes.get(modeKey);
-  if (!mode) return 0;
+// ---- Event history ----
+const history = new EventHistory(HISTORY_FILE, HISTORY_RETENTION_DAYS * 24 * 60 * 60_000);
+try {
+  history.load();
+} catch (err) {
+  console.error('Failed to load history:', err.message);
+}
+setInterval(() => history.prune(), 6 * 60 * 60_000);
 
-  // Calculate valve percentage based on valve positions
-  // spa valves = 100%, pool valves = 0%
-  if (mode.equipment.inflowValve === 'spa' && mode.equipment.outflowValve === 'spa') {
-    return 100;
+// ---- Maintenance tracker init (see maintenance.json) ----
+let maintenanceTasks = {};
+try {
+  const loaded = MaintenanceTracker.loadConfig(MAINTENANCE_CONFIG);
+  if (loaded.errors.length > 0) {
+    console.error(`Invalid maintenance config, reminders disabled: ${loaded.errors.join('; ')}`);
   } else {
-    return 0;
+    maintenanceTasks = loaded.config.tasks;
+  }
+} catch (err) {
+  console.error('Failed to load maintenance config:', err.message);
+}
+const maintenance = new MaintenanceTracker(
+  MAINTENANCE_FILE,
+  maintenanceTasks,
+  (counter) => runtimeStats.lifetimeOf(counter) || { onMs: 0, since: 0 }
+);
+try {
+  maintenance.load();
+} catch (err) {
+  console.error('Failed to load maintenance log:', err.message);
+}
+
+function checkMaintenance() {
+  const changed = maintenance.checkDue();
+  if (changed.length === 0) return;
+  changed.forEach(task => {
+    console.log(`🔧 Maintenance ${task.state}: ${task.name}`);
+    history.record(`maintenance.${task.state}`, { task: task.key, name: task.name, progress: task.progress });
+  });
+  try {
+    maintenance.save();
+  } catch (err) {
+    console.error('Failed to save maintenance log:', err.message);
+  }
+}
+checkMaintenance();
+setInterval(checkMaintenance, MAINTENANCE_CHECK_MS);
+
+// ---- State persistence ----
+const stateStore = new StateStore(STATE_FILE);
+let shutdownInfo = null; // { reason, error, at } once shutting down; a saved null means the run never stopped cleanly
+
+function persistState() {
+  try {
+    stateStore.save({
+      mode: status.mode,
+      target: status.target,
+      targetTimer: status.targetTimer,
+      equipment: poolController.getRequestedState(),
+      timer: modeTimer.current || status.lapsedTimer, // a lapsed timer expires again on restore
+      lockout,
+      setpoints: Object.fromEntries(thermostat.overrides),
+      shutdown: shutdownInfo,
+      circulation: circulation.snapshot(),
+      valves: Object.fromEntries(Object.values(valves).map(v => [v.name, {
+        percent: v.percent,
+        moving: v.moving,
+        from: v.from,
+        to: v.to,
+        startMs: v.startMs,
+        durationMs: v.durationMs,
+      }])),
+    });
+  } catch (err) {
+    console.error('Failed to persist state:', err.message);
   }
 }
 
-async function switchToMode(modeKey) {
+// ---- Mode switching ----
+// Start (or retarget) each actuator whose relay position differs from where it is heading
+function startValveMove(equipment) {
+  Object.values(valves).forEach(v => v.moveTo(ValveActuator.targetFor(equipment[v.field])));
+}
+
+function valvesMoveFor(equipment) {
+  return Object.values(valves).some(v => ValveActuator.targetFor(equipment[v.field]) !== v.currentPercent());
+}
+
+function valveRemainingMs() {
+  return Math.max(0, ...Object.values(valves).map(v => v.remainingMs()));
+}
+
+// options.revertTo: equipment to restore instead of the mode's own (cancel), run with the default steps
+// options.timer: { minutes, fallback, maxMinutes } to start once the mode is reached
+// options.actor: who asked (username, scheduler, timer, mqtt, system), for the history
+async function switchToMode(modeKey, options = {}) {
   const targetMode = modes.get(modeKey);
   if (!targetMode) {
     throw new Error(`Unknown mode: ${modeKey}`);
   }
+  const goal = options.revertTo || targetMode.equipment;
+  const actor = options.actor || 'system';
+  const from = status.mode;
+  const startedAt = Date.now();
 
   try {
     status.busy = true;
     status.target = modeKey;
-    console.log(`Switching to mode: ${targetMode.name}`);
-
-    const currentValvePct = currentValvePercent();
-    const targetValvePct = getValvePercentForMode(modeKey);
-
-    // Start valve timeline if valve position needs to change
-    if (currentValvePct !== targetValvePct) {
-      valve.from = currentValvePct;
-      valve.to = targetValvePct;
-      valve.startMs = Date.now();
-      valve.durationMs = VALVE_WAIT_MS;
-      valve.moving = true;
-      console.log(`Moving valves from ${currentValvePct}% to ${targetValvePct}%`);
-    }
-
-    // Apply equipment state immediately (except for final pump speed for spa mode)
-    const equipmentState = targetMode.equipment.copy();
-    if (modeKey === 'spa' && targetValvePct > currentValvePct) {
-      // For spa mode, start with low speed during valve transition
-      equipmentState.pumpSpeed = 'low';
-    }
-
-    poolController.applyEquipmentState(equipmentState);
-
-    // Wait for valve transition if needed
-    if (valve.moving) {
-      console.log('Waiting for valve transition...');
-      await sleep(VALVE_WAIT_MS);
+    status.targetTimer = options.timer || null;
+    console.log(`${options.revertTo ? 'Reverting' : 'Switching'} to mode: ${targetMode.name}`);
+    history.record('mode.start', {
+      actor, mode: modeKey, from, reverting: !!options.revertTo, before: poolController.getCurrentState(),
+    });
 
-      valve.percent = targetValvePct;
-      valve.moving = false;
+    thermostat.activate(targetMode);
+    circulation.activate(targetMode);
 
-      // Apply final equipment state (e.g., high pump speed for spa)
-      if (modeKey === 'spa') {
-        poolController.applyEquipmentState(targetMode.equipment);
-      }
+    const sequence = new TransitionSequence(status.mode, targetMode, {
+      current: () => poolController.getRequestedState(),
+      final: () => circulation.applyTo(thermostat.applyTo(goal.copy())),
+      apply: (state) => {
+        const applied = poolController.applyEquipmentState(state);
+        if (applied.blocked.length > 0) {
+          recordError(applied.blocked.join('; '));
+        }
+        persistState();
+      },
+      valvesMove: () => valvesMoveFor(goal),
+      valveRemainingMs,
+      valveTravelMs: () => Math.max(...Object.values(valves).map(v => v.travelMs)),
+      valvesMoving: () => Object.values(valves).some(v => v.moving),
+      onStep: () => broadcast('mode', modePayload()),
+    }, options.revertTo ? { reverting: true, steps: DEFAULT_TRANSITION } : {});
+    status.transition = sequence;
+
+    if (!(await sequence.run())) {
+      console.log(`Mode switch to ${targetMode.name} interrupted`);
+      history.record('mode.interrupted', {
+        actor, mode: modeKey, from, durationMs: Date.now() - startedAt, after: poolController.getCurrentState(),
+      });
+      modeSwitchCounter.inc({ mode: modeKey, result: 'interrupted' });
+      return;
     }
 
     status.mode = modeKey;
     console.log(`Mode switch complete: ${targetMode.name}`);
+    history.record('mode.finish', {
+      actor, mode: modeKey, from, durationMs: Date.now() - startedAt, after: poolController.getCurrentState(),
+    });
+    modeSwitchCounter.inc({ mode: modeKey, result: 'complete' });
+    transitionHistogram.observe({ mode: modeKey }, (Date.now() - startedAt) / 1000);
+
+    // A cancel returns to the mode the timer (if any) was already running for
+    if (options.timer) {
+      startModeTimer(modeKey, options.timer);
+    } else if (!options.revertTo) {
+      modeTimer.clear();
+    }
 
   } catch (e) {
     console.error(`Mode switch error (${modeKey}):`, e);
-    status.lastError = String(e);
+    recordError(String(e));
 
     // On error, try to go to safe service mode
     const serviceMode = modes.get('service');
     if (serviceMode && modeKey !== 'service') {
+      thermostat.activate(null);
+      circulation.activate(null);
       poolController.applyEquipmentState(serviceMode.equipment);
       status.mode = 'service';
-      valve.percent = 0;
-      valve.moving = false;
+      modeTimer.clear();
     }
+    history.record('mode.error', {
+      actor, mode: modeKey, from, error: String(e), fallback: status.mode, after: poolController.getCurrentState(),
+    });
+    modeSwitchCounter.inc({ mode: modeKey, result: 'error' });
   } finally {
     status.busy = false;
     status.target = null;
+    status.targetTimer = null;
+    status.transition = null;
+
+    // A cancel or redirect takes precedence over the queued request; start it before anything
+    // else can claim the idle controller
+    let next = status.next;
+    status.next = null;
+    if (!next && status.queued) {
+      next = status.queued.mode !== status.mode ? status.queued : null;
+      status.queued = null;
+    }
+    // A timer that lapsed mid-transition reverts only once the controller has come to rest in
+    // its mode without a newer timer (e.g. a cancel back into the timed mode)
+    if (!next && status.lapsedTimer) {
+      const lapsed = status.lapsedTimer;
+      status.lapsedTimer = null;
+      if (status.mode === lapsed.mode && !modeTimer.current) {
+        const fallback = timerFallback(lapsed);
+        console.log(`⏰ Timer for ${lapsed.mode} lapsed during the transition; reverting to ${fallback}`);
+        next = { mode: fallback, actor: 'timer' };
+      }
+    }
+    // The mode may have been deleted while it waited; modeInUse() guards the API and reload
+    if (next && !modes.has(next.mode)) {
+      recordError(`Mode ${next.mode} no longer exists; staying in ${status.mode}`);
+      next = null;
+    }
+    if (next) {
+      switchToMode(next.mode, next).catch(err => recordError(String(err)));
+    } else {
+      broadcast('mode', modePayload());
+      persistState();
+    }
+    setImmediate(() => scheduler.retryPending());
+  }
+}
+
+// Abort the running transition and start `next` ({ mode, revertTo, timer, actor }) once it has stopped
+function interruptTransition(next) {
+  status.next = next;
+  status.queued = null;
+  status.transition.abort();
+}
+
+// Cancel: put the equipment back the way it was before the switch, reversing the valves
+// from wherever they are now
+function cancelTransition(actor) {
+  const sequence = status.transition;
+  if (!status.busy || !sequence || sequence.reverting || sequence.aborted) {
+    return false;
+  }
+  console.log(`Cancelling switch to ${sequence.target.name}`);
+  interruptTransition({ mode: sequence.from, revertTo: sequence.before, actor });
+  return true;
+}
+
+// Redirect: abandon the current target and head for another from the current positions
+function redirectTransition(modeKey, timer = null, actor = 'system') {
+  console.log(`Redirecting transition to ${modeKey}`);
+  interruptTransition({ mode: modeKey, timer, actor });
+}
+
+// The modes the controller is in, heading for, or will start next; these cannot be removed
+function modeInUse(key) {
+  return key === status.mode
+    || key === status.target
+    || (status.next !== null && status.next.mode === key)
+    || (status.queued !== null && status.queued.mode === key);
+}
+
+// Single-slot queue: a newer request replaces an older one
+function queueModeRequest(modeKey, source, timer = null, actor = source) {
+  if (status.queued && status.queued.mode !== modeKey) {
+    console.log(`Queued ${status.queued.mode} replaced by ${modeKey}`);
+  }
+  status.queued = { mode: modeKey, source, at: Date.now(), timer, actor };
+  broadcast('mode', modePayload());
+}
+
+// ---- Mode hot reload ----
+// Swap a (re)loaded mode into the shared map and refresh anything holding the old object
+function installMode(mode) {
+  modes.set(mode.key, mode);
+  modeErrors.delete(mode.key);
+  if (thermostat.mode && thermostat.mode.key === mode.key) {
+    thermostat.activate(mode);
   }
+  if (mode.key === status.mode || mode.key === status.target) {
+    console.log(`Mode ${mode.key} is active; equipment changes apply on the next switch`);
+  }
+  broadcastModes();
+}
+
+function reloadModeFile(file) {
+  const key = path.basename(file, '.json');
+  const modePath = path.join(MODES_DIR, file);
+
+  if (!fs.existsSync(modePath)) {
+    if (!modes.has(key) && !modeErrors.has(key)) return;
+    if (modes.has(key) && (key === 'service' || modeInUse(key))) {
+      modeErrors.set(key, { file, errors: ['File deleted while mode is active, pending or required; keeping last good version'], at: Date.now() });
+      console.error(`Mode file ${file} deleted but ${key} is in use; keeping it loaded`);
+    } else {
+      modes.delete(key);
+      modeErrors.delete(key);
+      console.log(`Mode file removed: ${key}`);
+    }
+    broadcastModes();
+    return;
+  }
+
+  try {
+    const mode = ModeConfig.loadFile(modePath, key, modes, TIMER_FALLBACK_MODE);
+    console.log(`Reloaded mode file: ${file}`);
+    installMode(mode);
+  } catch (err) {
+    // Keep the last good definition (if any) and surface the problem
+    modeErrors.set(key, { file, errors: err.errors || [err.message], at: Date.now() });
+    console.error(`Invalid mode file ${file}: ${modeErrors.get(key).errors.join('; ')}`);
+    broadcastModes();
+  }
+}
+
+const MODE_RELOAD_DEBOUNCE_MS = 250; // editors write files in several steps
+const modeReloadTimers = new Map();
+try {
+  fs.watch(MODES_DIR, (_eventType, file) => {
+    if (!file || !file.endsWith('.json')) return;
+    clearTimeout(modeReloadTimers.get(file));
+    modeReloadTimers.set(file, setTimeout(() => {
+      modeReloadTimers.delete(file);
+      reloadModeFile(file);
+    }, MODE_RELOAD_DEBOUNCE_MS));
+  });
+} catch (err) {
+  console.error('Mode hot reload unavailable:', err.message);
+}
+
+// ---- Scheduler init ----
+// Returns false while another transition is running so the scheduler retries afterwards
+function requestScheduledMode(modeKey) {
+  if (status.busy) {
+    return status.target === modeKey;
+  }
+  if (status.mode !== modeKey) {
+    switchToMode(modeKey, { timer: defaultModeTimer(modeKey), actor: 'scheduler' });
+  }
+  return true;
+}
+
+const scheduler = new Scheduler(SCHEDULES_FILE, modes, requestScheduledMode);
+try {
+  scheduler.load();
+} catch (err) {
+  console.error('Failed to load schedules:', err);
+}
+scheduler.start();
+
+// ---- Thermostat loop ----
+// Mode switches apply the thermostat themselves; only adjust the heater while idle
+// and while the thermostat owns it (manual service control is left alone)
+function applyHeatingCall() {
+  if (status.busy || !thermostat.mode) return;
+  // Start from what was requested so interlock and freeze overrides are not made permanent
+  const state = poolController.getRequestedState();
+  const heater = thermostat.heatingCall ? 'on' : 'off';
+  if (state.heater === heater) return;
+  console.log(`Thermostat: heater ${heater} (${thermostat.reason}, ${thermostat.temperature}°F)`);
+  state.heater = heater;
+  poolController.applyEquipmentState(state);
+}
+
+setInterval(() => {
+  thermostat.evaluate();
+  applyHeatingCall();
+}, 5_000);
+
+// ---- Circulation loop ----
+// Like the thermostat: mode switches apply the planner themselves; adjust the pump only while idle
+function applyCirculationCall() {
+  if (status.busy || !circulation.mode) return;
+  const state = poolController.getRequestedState();
+  const before = `${state.pump}/${state.pumpSpeed}`;
+  circulation.applyTo(state);
+  if (`${state.pump}/${state.pumpSpeed}` === before) return;
+  console.log(`Circulation: pump ${state.pump} (${circulation.reason})`);
+  poolController.applyEquipmentState(state);
+  persistState();
+}
+
+const CIRCULATION_CHECK_MS = 60_000;
+setInterval(() => {
+  circulation.evaluate();
+  applyCirculationCall();
+  // Keep the day's runtime on disk while the pump runs
+  if (circulation.running) persistState();
+}, CIRCULATION_CHECK_MS);
+
+// ---- Freeze protection loop ----
+// Runs regardless of mode and transitions: the override sits on top of whatever is requested
+function applyFreezeProtection() {
+  const wasActive = freezeProtection.active;
+  if (!freezeProtection.evaluate(lockout !== null)) return;
+
+  const state = freezeProtection.getState();
+  if (state.active && !wasActive) {
+    console.log(`❄️  Freeze protection ON: ${state.reason}; circulating on ${freezeProtection.config.pumpSpeed}`);
+    history.record('freeze.on', { reason: state.reason, trigger: state.trigger });
+  } else if (!state.active) {
+    console.log(`Freeze protection off: ${state.reason}`);
+    history.record('freeze.off', { reason: state.reason });
+  } else {
+    console.log(`Freeze protection: circulating through the ${state.path} path`);
+  }
+  applyOverride();
+}
+
+setInterval(applyFreezeProtection, 5_000);
+
+// Maintenance lockout: freeze protection will not start (or keep) the pump while someone works on it
+function setLockout(user, reason) {
+  lockout = { by: user, reason: reason || null, at: Date.now() };
+  console.log(`🔒 Maintenance lockout by ${user}${reason ? `: ${reason}` : ''}`);
+  history.record('lockout.on', { actor: user, reason: lockout.reason });
+  applyFreezeProtection();
+  broadcast('equipment', equipmentPayload());
+  persistState();
+}
+
+function clearLockout(user) {
+  console.log(`🔓 Maintenance lockout released by ${user}`);
+  history.record('lockout.off', { actor: user });
+  lockout = null;
+  applyFreezeProtection();
+  broadcast('equipment', equipmentPayload());
+  persistState();
+}
+
+// ---- Health supervision (GET /health, systemd watchdog) ----
+// Sustained failed checks put the equipment in a safe state: heater off, valves to pool and the pump
+// off after a run-on. It takes precedence over freeze protection and is left once checks recover.
+const loopMonitor = new EventLoopMonitor();
+loopMonitor.start();
+const notifier = new SystemdNotifier();
+let safeState = null; // { since, reason, pumpRunOnUntil } while the safe-state action holds the outputs
+let safeStateTimer = null;
+let shutdownOverride = null; // equipment fields forced by the shutdown sequence
+
+const healthMonitor = new HealthMonitor({
+  eventLoop: () => {
+    const lagMs = loopMonitor.takeMax();
+    let level = 'healthy';
+    if (lagMs >= LOOP_LAG_FAILED_MS) {
+      level = 'failed';
+    } else if (lagMs >= LOOP_LAG_DEGRADED_MS) {
+      level = 'degraded';
+    }
+    return { status: level, message: `max lag ${lagMs} ms` };
+  },
+  outputs: () => {
+    const bank = simulatorMode ? simulatorBank : outputBank;
+    const bad = bank.health().filter(d => !d.ok);
+    return bad.length > 0
+      ? { status: 'failed', message: bad.map(d => `${d.driver}: ${d.message}`).join('; ') }
+      : { status: 'healthy', message: simulatorMode ? 'simulator' : 'drivers ok' };
+  },
+  transition: (now) => {
+    const sequence = status.transition;
+    if (!sequence || !sequence.step) return { status: 'healthy', message: status.busy ? 'starting' : 'idle' };
+    const valveTravelMs = Math.max(...Object.values(valves).map(v => v.travelMs));
+    const budgetMs = (sequence.step.seconds || 0) * 1000 + valveTravelMs + TRANSITION_STALL_MS;
+    const elapsedMs = now - sequence.stepStartedAt;
+    return elapsedMs > budgetMs
+      ? { status: 'failed', message: `step ${sequence.index + 1} (${sequence.step.action}) stalled for ${Math.round(elapsedMs / 1000)}s` }
+      : { status: 'healthy', message: `step ${sequence.index + 1} of ${sequence.steps.length}` };
+  },
+  sensors: (now) => {
+    // A probe never read yet counts from process start
+    const bootAt = now - process.uptime() * 1000;
+    const stale = Object.entries(sensors.getReadings())
+      .filter(([, r]) => r.probe && now - (r.timestamp || bootAt) > TEMPERATURE_STALE_MS)
+      .map(([location]) => location);
+    return stale.length > 0
+      ? { status: 'degraded', message: `no recent reading from ${stale.join(', ')}` }
+      : { status: 'healthy', message: 'readings current' };
+  },
+});
+
+// Everything off except the pump, which keeps circulating until the run-on ends
+function safeStateOverride(now = Date.now()) {
+  const runOn = safeState.pumpRunOnUntil !== null && now < safeState.pumpRunOnUntil;
+  return { pump: runOn ? 'on' : 'off', pumpSpeed: 'low', inflowValve: 'pool', outflowValve: 'pool', heater: 'off' };
+}
+
+// Shutdown fields win over the safe state, which wins over freeze protection
+function applyOverride() {
+  const override = safeState ? safeStateOverride() : freezeProtection.override();
+  poolController.setOverride(shutdownOverride ? { ...override, ...shutdownOverride } : override);
+}
+
+function enterSafeState(reason) {
+  const now = Date.now();
+  const pumpOn = poolController.getCurrentState().pump === 'on';
+  safeState = { since: now, reason, pumpRunOnUntil: pumpOn ? now + SAFE_STATE_RUN_ON_MS : null };
+  console.error(`🛑 Health checks failing, entering safe state: ${reason}`);
+  history.record('health.safe-state', { reason, pumpRunOnMs: pumpOn ? SAFE_STATE_RUN_ON_MS : 0 });
+  recordError(`Safe state: ${reason}`);
+  applyOverride();
+  if (pumpOn) {
+    safeStateTimer = setTimeout(() => {
+      safeStateTimer = null;
+      console.log('Safe state: pump run-on complete');
+      applyOverride();
+    }, SAFE_STATE_RUN_ON_MS);
+  }
+}
+
+function leaveSafeState() {
+  console.log('✅ Health checks recovered, leaving safe state');
+  history.record('health.recovered', { since: safeState.since, reason: safeState.reason });
+  clearTimeout(safeStateTimer);
+  safeStateTimer = null;
+  safeState = null;
+  applyOverride();
+}
+
+function checkHealth() {
+  const now = Date.now();
+  if (healthMonitor.evaluate(now)) {
+    const failures = healthMonitor.failures();
+    console.log(`Health: ${healthMonitor.status}${failures.length > 0 ? ` (${failures.join('; ')})` : ''}`);
+    history.record(`health.${healthMonitor.status}`, {
+      checks: healthMonitor.results.filter(r => r.status !== 'healthy'),
+    });
+    notifier.notify(`STATUS=${healthMonitor.status}, mode ${status.mode}`);
+  }
+
+  if (SAFE_STATE_ACTION !== 'safe-state') return;
+  if (!safeState && healthMonitor.failedChecks >= HEALTH_FAIL_CHECKS) {
+    enterSafeState(healthMonitor.failures().join('; '));
+  } else if (safeState && healthMonitor.status !== 'failed' && now - healthMonitor.lastFailedAt >= HEALTH_RECOVER_MS) {
+    leaveSafeState();
+  }
+}
+
+setInterval(checkHealth, HEALTH_CHECK_MS);
+// Only ping while the checks themselves keep running
+notifier.startWatchdog(() => healthMonitor.checkedAt !== null && Date.now() - healthMonitor.checkedAt < 3 * HEALTH_CHECK_MS);
+
+function healthPayload() {
+  return {
+    ok: healthMonitor.status !== 'failed',
+    ...healthMonitor.getState(),
+    eventLoopLagMs: loopMonitor.lagMs,
+    safeState,
+    safeStateAction: SAFE_STATE_ACTION,
+    systemd: notifier.getState(),
+  };
+}
+
+// ---- Boot reconciliation ----
+// Driver init left every output de-energized; put the actuators back where the state file says they were
+function restoreState() {
+  let saved;
+  try {
+    saved = stateStore.load();
+  } catch (err) {
+    console.error('Failed to read state file:', err.message);
+  }
+
+  if (saved) {
+    console.log(saved.shutdown
+      ? `Last shutdown: ${saved.shutdown.reason} at ${new Date(saved.shutdown.at).toLocaleString()}`
+      : 'Previous run did not shut down cleanly');
+  }
+  if (saved && saved.lockout) {
+    lockout = saved.lockout;
+    console.log(`Restored maintenance lockout by ${lockout.by}`);
+  }
+  if (saved) {
+    circulation.restore(saved.circulation);
+    Object.entries(saved.setpoints || {}).forEach(([modeKey, setpoint]) => {
+      const mode = modes.get(modeKey);
+      try {
+        if (mode) thermostat.setSetpoint(mode, setpoint);
+      } catch (err) {
+        console.error(`Ignoring saved setpoint for ${modeKey}: ${err.message}`);
+      }
+    });
+  }
+
+  let resumeTarget = null;
+  if (saved && modes.has(saved.mode)) {
+    const interrupted = saved.target && modes.has(saved.target);
+    const equipment = EquipmentState.fromConfig(saved.equipment || {});
+
+    // Interrupted mid-transition: assume the valves are back where they started so the
+    // re-run waits the full travel time. Applying the equipment below starts them moving again.
+    // State files from before per-valve tracking have one `valve`.
+    Object.values(valves).forEach(v => {
+      const savedValve = (saved.valves || {})[v.name] || saved.valve || {};
+      v.setPosition(Number(interrupted ? savedValve.from : savedValve.percent) || 0);
+    });
+
+    status.mode = saved.mode;
+    // A timer that lapsed while we were down reverts right after boot
+    if (saved.timer && saved.timer.mode === saved.mode) {
+      modeTimer.set(saved.timer);
+      console.log(`Restored timer: ${saved.mode} reverts to ${saved.timer.fallback} at ${new Date(saved.timer.expiresAt).toLocaleTimeString()}`);
+    }
+    // The saved heater request is the thermostat's to make: without a reading yet it stays off
+    if (saved.mode !== 'service') {
+      thermostat.activate(modes.get(saved.mode));
+      circulation.activate(modes.get(saved.mode));
+    }
+    poolController.applyEquipmentState(circulation.applyTo(thermostat.applyTo(equipment)));
+
+    if (interrupted) {
+      resumeTarget = saved.target;
+      console.log(`Resuming interrupted transition to ${saved.target}`);
+    }
+    const positions = Object.values(valves).map(v => `${v.name} ${v.percent}%`).join(', ');
+    console.log(`Restored mode ${saved.mode} (valves ${positions})`);
+  } else {
+    if (saved) {
+      console.log(`Saved mode ${saved.mode} no longer exists; starting in ${status.mode}`);
+    }
+    // Nothing to restore: the planner still owns the pump in its mode (the loop starts it)
+    circulation.activate(modes.get(status.mode));
+  }
+
+  const bootTarget = BOOT_MODE && modes.has(BOOT_MODE) ? BOOT_MODE : resumeTarget;
+  if (BOOT_MODE && !modes.has(BOOT_MODE)) {
+    console.error(`Unknown BOOT_MODE: ${BOOT_MODE}`);
+  }
+  if (bootTarget) {
+    // A resumed switch keeps the duration it was started with; state files from before
+    // targetTimer, and BOOT_MODE, get the mode's default
+    const timer = bootTarget === resumeTarget && saved.targetTimer
+      ? saved.targetTimer
+      : defaultModeTimer(bootTarget);
+    switchToMode(bootTarget, { timer });
+  } else {
+    persistState();
+  }
+}
+
+history.record('startup', { simulator: simulatorMode, gpioHardwareAvailable });
+restoreState();
+
+// ---- MQTT bridge (optional) ----
+// Commands on <prefix>/.../set bypass the user roles: anyone the broker lets publish there acts as an
+// operator, so restrict those topics in the broker ACL, or set MQTT_READ_ONLY=true to ignore them
+let mqttBridge = null;
+if (process.env.MQTT_URL) {
+  mqttBridge = new MqttBridge({
+    url: process.env.MQTT_URL,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    readOnly: process.env.MQTT_READ_ONLY === 'true',
+    prefix: process.env.MQTT_PREFIX || 'pool',
+    discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant',
+    getStatus: statusPayload,
+    requestMode: (modeKey) => {
+      if (!modes.has(modeKey)) {
+        console.log(`MQTT: unknown mode ${modeKey}`);
+      } else if (status.busy) {
+        if (status.target !== modeKey) queueModeRequest(modeKey, 'mqtt', resolveModeTimer(modes.get(modeKey)));
+      } else if (status.mode !== modeKey) {
+        switchToMode(modeKey, { timer: resolveModeTimer(modes.get(modeKey)), actor: 'mqtt' });
+      }
+    },
+    setEquipment: (type, state) => {
+      if (!setEquipment(type, state, 'mqtt')) {
+        console.log(`MQTT: unknown equipment type ${type}`);
+      }
+    },
+  });
+  // Mode create, delete and reload change the Home Assistant select options
+  statusListeners.push((event) => {
+    if (event === 'modes') mqttBridge.publishDiscovery();
+    else mqttBridge.publishStatus();
+  });
+  mqttBridge.start();
+}
+
+// ---- Auth init ----
+const auth = new AuthStore(USERS_FILE);
+try {
+  auth.load();
+} catch (err) {
+  console.error('Failed to load users:', err);
+  process.exit(1);
+}
+
+// First boot: create an admin so the UI can be unlocked
+async function bootstrapAdmin() {
+  if (auth.hasUsers() || AUTH_DISABLED) return;
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  await auth.createUser('admin', password, 'admin');
+  if (process.env.ADMIN_PASSWORD) {
+    console.log('🔑 Created admin user from ADMIN_PASSWORD');
+  } else {
+    console.log(`🔑 Created admin user with password: ${password} (change it with POST /api/v1/users/admin/password)`);
+  }
+}
+bootstrapAdmin().catch(err => {
+  console.error('Failed to create admin user:', err);
+  shutdownManager.shutdown('admin bootstrap failed', { error: String(err), exitCode: 1 });
+});
+const loginThrottle = new LoginThrottle();
+
+// Attach req.user from a bearer token or session cookie
+function authenticate(req, _res, next) {
+  req.user = null;
+  if (AUTH_DISABLED) {
+    req.user = { username: 'dev', role: 'admin' };
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    req.user = auth.verifyToken(header.slice(7).trim());
+  } else {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId) req.user = auth.getSessionUser(sessionId);
+  }
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, message: 'Sign in required' });
+    }
+    if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ ok: false, message: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+// ---- API plumbing ----
+// Mutations must be JSON so a plain link, form post or prefetch can never change equipment
+function requireJson(req, res, next) {
+  if (!req.is('application/json')) {
+    return res.status(415).json({ ok: false, message: 'Content-Type must be application/json' });
+  }
+  next();
+}
+
+// Replays a retried request's response; see idempotency.js
+const idempotent = idempotency();
+
+// Middleware chain for every state-changing API route (sign-in skips the replay cache: a replayed
+// response would carry no session cookie)
+function mutation(role) {
+  return role ? [requireRole(role), requireJson, idempotent] : [requireJson, idempotent];
 }
 
 // ---- Routes ----
+// Count every request once it is answered, by route pattern so ids and keys don't explode the labels
+// (static files and 404s share 'other')
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : 'other';
+    httpRequestCounter.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
 app.use(express.json());
+app.use(authenticate);
+
+const api = express.Router();
+
+// ---- Auth routes ----
+api.post('/auth/login', requireJson, async (req, res) => {
+  const { username, password } = req.body || {};
+  const retryAfterMs = loginThrottle.retryAfterMs(req.ip);
+  if (retryAfterMs > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ ok: false, message: 'Too many failed sign-ins; try again later' });
+  }
+
+  const user = await auth.verifyPassword(username, password);
+  if (!user) {
+    console.log(`Failed login for ${username} from ${req.ip}`);
+    loginThrottle.fail(req.ip);
+    return res.status(401).json({ ok: false, message: 'Invalid username or password' });
+  }
+  loginThrottle.succeed(req.ip);
+
+  const sessionId = auth.createSession(user.username);
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    sameSite: 'strict',
+    maxAge: auth.sessionTtlMs,
+  });
+  console.log(`User ${user.username} signed in`);
+  res.json({ ok: true, user: { username: user.username, role: user.role } });
+});
+
+api.post('/auth/logout', mutation(), (req, res) => {
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (sessionId) auth.endSession(sessionId);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ ok: true });
+});
+
+api.get('/auth/me', (req, res) => {
+  res.json({
+    ok: true,
+    authDisabled: AUTH_DISABLED,
+    user: req.user ? { username: req.user.username, role: req.user.role } : null,
+  });
+});
+
+api.get('/users', requireRole('admin'), (_req, res) => {
+  res.json({ ok: true, users: auth.listUsers() });
+});
+
+api.post('/users', mutation('admin'), async (req, res) => {
+  const { username, password, role } = req.body || {};
+  try {
+    const user = await auth.createUser(username, password, role);
+    res.status(201).json({ ok: true, user });
+  } catch (err) {
+    res.status(400).json({ ok: false, message: err.message });
+  }
+});
+
+// Change a password { password, currentPassword }: your own (with the current one) or anyone's as admin
+api.post('/users/:username/password', mutation('viewer'), async (req, res) => {
+  const { username } = req.params;
+  const { password, currentPassword } = req.body;
+  const self = username === req.user.username;
+  if (!self && req.user.role !== 'admin') {
+    return res.status(403).json({ ok: false, message: 'Only admins can change other users\' passwords' });
+  }
+  if (!auth.users.has(username)) {
+    return res.status(404).json({ ok: false, message: `Unknown user: ${username}` });
+  }
+  if (self && !(await auth.verifyPassword(username, currentPassword))) {
+    return res.status(403).json({ ok: false, message: 'Current password is incorrect' });
+  }
+
+  try {
+    await auth.setPassword(username, password, self ? parseCookies(req.headers.cookie)[SESSION_COOKIE] : null);
+  } catch (err) {
+    return res.status(400).json({ ok: false, message: err.message });
+  }
+  console.log(`Password for ${username} changed by ${req.user.username}`);
+  res.json({ ok: true });
+});
 
-// Switch to a specific mode
-app.get('/mode/:modeKey', async (req, res) => {
-  const { modeKey } = req.params;
+api.delete('/users/:username', requireRole('admin'), (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(400).json({ ok: false, message: 'Cannot delete your own account' });
+  }
+  if (!auth.deleteUser(req.params.username)) {
+    return res.status(404).json({ ok: false, message: `Unknown user: ${req.params.username}` });
+  }
+  res.json({ ok: true });
+});
+
+api.post('/users/:username/tokens', mutation('admin'), (req, res) => {
+  const token = auth.createToken(req.params.username, req.body && req.body.name);
+  if (!token) {
+    return res.status(404).json({ ok: false, message: `Unknown user: ${req.params.username}` });
+  }
+  res.status(201).json({ ok: true, token });
+});
+
+api.delete('/users/:username/tokens/:id', requireRole('admin'), (req, res) => {
+  if (!auth.deleteToken(req.params.username, req.params.id)) {
+    return res.status(404).json({ ok: false, message: 'Unknown token' });
+  }
+  res.json({ ok: true });
+});
 
+// Switch to a specific mode: { mode, durationMinutes, redirect, queue }
+api.post('/mode', mutation('operator'), (req, res) => {
+  const { mode, durationMinutes, redirect, queue } = req.body;
+  handleModeRequest(mode, res, {
+    durationMinutes, redirect: redirect === true, queue: queue === true, actor: req.user.username,
+  });
+});
+
+// Mode timer: extend by { minutes } (default 30) or cancel so the mode stays on
+api.post('/timer/extend', mutation('operator'), (req, res) => {
+  const minutes = req.body.minutes ?? TIMER_EXTEND_MINUTES;
+  if (typeof minutes !== 'number' || !(minutes > 0)) {
+    return res.status(400).json({ ok: false, message: 'minutes must be a positive number' });
+  }
+  if (!modeTimer.current) {
+    return res.status(409).json({ ok: false, message: 'No mode timer is running' });
+  }
+  const now = Date.now();
+  const from = Math.max(now, modeTimer.current.expiresAt);
+  const timer = modeTimer.extend(minutes, now);
+  const extendedMinutes = Math.round((timer.expiresAt - from) / 60_000);
+  if (extendedMinutes < minutes) {
+    console.log(`Timer: ${timer.mode} extended by ${extendedMinutes} min (capped at ${timer.maxMinutes} min from now)`);
+  } else {
+    console.log(`Timer: ${timer.mode} extended by ${minutes} min`);
+  }
+  res.json({ ...statusPayload(), extendedMinutes });
+});
+
+api.post('/timer/cancel', mutation('operator'), (_req, res) => {
+  if (!modeTimer.current) {
+    return res.status(409).json({ ok: false, message: 'No mode timer is running' });
+  }
+  console.log(`Timer: ${modeTimer.current.mode} will stay on`);
+  modeTimer.clear();
+  res.json(statusPayload());
+});
+
+// Cancel the running transition: the equipment goes back to where it was before the switch
+api.post('/transition/cancel', mutation('operator'), (req, res) => {
+  if (!cancelTransition(req.user.username)) {
+    return res.status(409).json({ ok: false, message: 'No transition to cancel' });
+  }
+  res.json(statusPayload());
+});
+
+// Shared by POST /mode and the legacy GET endpoints.
+// While busy, `redirect` abandons the current target and `queue` runs the mode afterwards.
+function handleModeRequest(modeKey, res, options = {}) {
   // Validate mode exists
   if (!modes.has(modeKey)) {
     return res.status(404).json({ ok: false, message: `Unknown mode: ${modeKey}` });
   }
 
-  // Check if already in this mode and not busy
+  let timer;
+  try {
+    timer = resolveModeTimer(modes.get(modeKey), options.durationMinutes);
+  } catch (err) {
+    return res.status(400).json({ ok: false, message: err.message });
+  }
+
+  // Check if already in this mode and not busy; an explicit duration restarts the timer
   if (!status.busy && status.mode === modeKey) {
+    if (timer && options.durationMinutes !== undefined) {
+      startModeTimer(modeKey, timer);
+    }
     return res.json(statusPayload());
   }
 
@@ -446,35 +1460,145 @@ app.get('/mode/:modeKey', async (req, res) => {
     return res.json(statusPayload());
   }
 
+  if (status.busy && options.redirect) {
+    if (status.transition.reverting || status.transition.aborted) {
+      return res.status(409).json({ ok: false, busy: true, message: 'Transition is being cancelled' });
+    }
+    redirectTransition(modeKey, timer, options.actor);
+    return res.json(statusPayload());
+  }
+
+  if (status.busy && options.queue) {
+    queueModeRequest(modeKey, 'api', timer, options.actor);
+    return res.status(202).json(statusPayload());
+  }
+
   // Check if busy with another operation
   if (status.busy) {
-    return res.status(409).json({ ok: false, busy: true, message: 'Busy with another operation' });
+    return res.status(409).json({ ok: false, busy: true, message: 'Busy with another operation (send redirect or queue)' });
   }
 
   // Start the mode switch (non-blocking)
-  switchToMode(modeKey);
+  switchToMode(modeKey, { timer, actor: options.actor });
   res.json(statusPayload());
+}
+
+// Output mapping for the relay panel
+api.get('/hardware', (_req, res) => {
+  res.json({
+    ok: true,
+    outputs: hardware.describe(),
+    drivers: gpioHardwareAvailable ? outputBank.health() : [],
+    simulator: simulatorBank.health(),
+  });
 });
 
 // Get available modes
-app.get('/modes', (req, res) => {
-  const modesList = ModeConfig.getSortedModes(modes).map(m => ({
-    key: m.key,
-    name: m.name,
-    description: m.description,
-    color: m.color,
-    order: m.order
-  }));
+api.get('/modes', (req, res) => {
+  const modesList = ModeConfig.getSortedModes(modes).map(m => m.summary());
   res.json({ ok: true, modes: modesList });
 });
 
+// ---- Mode management ----
+// Mode files that failed validation (registered before /modes/:key)
+api.get('/modes/errors', (_req, res) => {
+  res.json({ ok: true, errors: modeErrorList() });
+});
+
+// Full mode definition, including equipment and thermostat
+api.get('/modes/:key', (req, res) => {
+  const mode = modes.get(req.params.key);
+  if (!mode) {
+    return res.status(404).json({ ok: false, message: `Unknown mode: ${req.params.key}` });
+  }
+  res.json({ ok: true, key: mode.key, mode: mode.toConfig() });
+});
+
+function saveMode(key, config, res, created) {
+  const errors = ModeConfig.validate(key, config, modes, TIMER_FALLBACK_MODE);
+  if (errors.length > 0) {
+    return res.status(400).json({ ok: false, message: 'Invalid mode', errors });
+  }
+
+  const mode = ModeConfig.fromConfig(key, config);
+  try {
+    writeJsonAtomic(path.join(MODES_DIR, `${key}.json`), mode.toConfig());
+  } catch (err) {
+    console.error(`Failed to write mode ${key}:`, err);
+    return res.status(500).json({ ok: false, message: `Failed to write mode: ${err.message}` });
+  }
+
+  installMode(mode);
+  console.log(`Mode ${created ? 'created' : 'updated'}: ${mode.name}`);
+  res.status(created ? 201 : 200).json({ ok: true, key, mode: mode.toConfig() });
+}
+
+api.post('/modes/:key', mutation('admin'), (req, res) => {
+  if (modes.has(req.params.key)) {
+    return res.status(409).json({ ok: false, message: `Mode already exists: ${req.params.key}` });
+  }
+  saveMode(req.params.key, req.body, res, true);
+});
+
+api.put('/modes/:key', mutation('admin'), (req, res) => {
+  if (!modes.has(req.params.key)) {
+    return res.status(404).json({ ok: false, message: `Unknown mode: ${req.params.key}` });
+  }
+  saveMode(req.params.key, req.body, res, false);
+});
+
+api.delete('/modes/:key', requireRole('admin'), (req, res) => {
+  const { key } = req.params;
+  if (!modes.has(key)) {
+    return res.status(404).json({ ok: false, message: `Unknown mode: ${key}` });
+  }
+  if (key === 'service') {
+    return res.status(409).json({ ok: false, message: 'The service mode is the safety fallback and cannot be deleted' });
+  }
+  if (modeInUse(key)) {
+    return res.status(409).json({ ok: false, message: `Mode ${key} is active or pending and cannot be deleted` });
+  }
+
+  try {
+    fs.unlinkSync(path.join(MODES_DIR, `${key}.json`));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      return res.status(500).json({ ok: false, message: `Failed to delete mode: ${err.message}` });
+    }
+  }
+
+  modes.delete(key);
+  console.log(`Mode deleted: ${key}`);
+  broadcastModes();
+  res.json({ ok: true });
+});
+
 // Manual equipment control (switches to service mode)
-app.post('/equipment/:type', (req, res) => {
+api.post('/equipment/:type', mutation('operator'), (req, res) => {
   const { type } = req.params;
   const { state } = req.body;
 
-  // Get current equipment state
-  const currentState = poolController.getCurrentState();
+  const applied = setEquipment(type, state, req.user.username);
+  if (!applied) {
+    return res.status(400).json({ ok: false, message: `Unknown equipment type: ${type}` });
+  }
+
+  if (applied.blocked.length > 0) {
+    return res.status(409).json({ ...statusPayload(), ok: false, interlock: true, message: status.lastError });
+  }
+
+  res.json(statusPayload());
+});
+
+// ---- Manual equipment override ----
+// Shared by POST /equipment/:type and the MQTT bridge. Returns the interlock result,
+// or null for an unknown equipment type.
+function setEquipment(type, state, actor = 'system') {
+  const before = poolController.getCurrentState();
+  const fromMode = status.mode;
+
+  // Start from the requested state: fields forced by freeze protection are released when it ends
+  const currentState = poolController.getRequestedState();
 
   // Update specific equipment
   switch (type) {
@@ -504,52 +1628,70 @@ app.post('/equipment/:type', (req, res) => {
       }
       break;
     default:
-      return res.status(400).json({ ok: false, message: `Unknown equipment type: ${type}` });
+      return null;
   }
 
+  // Manual control takes the heater away from the thermostat and the pump away from the
+  // circulation planner (and ends any mode timer)
+  thermostat.activate(null);
+  circulation.activate(null);
+  modeTimer.clear();
+
   // Apply the updated state
-  poolController.applyEquipmentState(currentState);
+  const applied = poolController.applyEquipmentState(currentState);
 
   // Switch to service mode
   status.mode = 'service';
+  broadcast('mode', modePayload());
+  persistState();
 
-  res.json(statusPayload());
+  if (applied.blocked.length > 0) {
+    recordError(applied.blocked.join('; '));
+  }
+  history.record('equipment', {
+    actor, equipment: type, state, from: fromMode, blocked: applied.blocked, before, after: poolController.getCurrentState(),
+  });
+
+  return applied;
+}
+
+api.get('/status', (_req, res) => res.json(statusPayload()));
+
+// 200 while healthy or degraded, 503 once a check has failed (for load balancers and uptime probes)
+api.get('/health', (_req, res) => {
+  const payload = healthPayload();
+  res.status(payload.ok ? 200 : 503).json(payload);
 });
 
-// Legacy spa endpoints
-app.get('/spa/on', async (req, res) => {
-  req.params = { modeKey: 'spa' };
-  const handler = app._router.stack.find(layer => 
-    layer.route && layer.route.path === '/mode/:modeKey'
-  );
-  if (handler) {
-    return handler.route.stack[0].handle(req, res);
-  }
-  res.status(500).json({ ok: false, message: 'Route handler not found' });
+// Prometheus scrape target; public like /status
+api.get('/metrics', (_req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
 });
 
-app.get('/spa/off', async (req, res) => {
-  req.params = { modeKey: 'auto' };
-  const handler = app._router.stack.find(layer => 
-    layer.route && layer.route.path === '/mode/:modeKey'
-  );
-  if (handler) {
-    return handler.route.stack[0].handle(req, res);
-  }
-  res.status(500).json({ ok: false, message: 'Route handler not found' });
+// Live status stream; clients fall back to polling /status if it drops
+api.get('/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  res.write(`event: status\ndata: ${JSON.stringify(statusPayload())}\n\n`);
+  sseClients.add(res);
+  req.on('close', () => sseClients.delete(res));
 });
 
-app.get('/status', (_req, res) => res.json(statusPayload()));
+// Periodic full status keeps idle connections open and refreshes slow-changing fields
+setInterval(() => broadcast('status', statusPayload()), SSE_HEARTBEAT_MS);
 
 // Simulator mode control
-app.post('/simulator', (req, res) => {
+api.post('/simulator', mutation('admin'), (req, res) => {
   const { enabled } = req.body;
 
   if (typeof enabled !== 'boolean') {
     return res.status(400).json({ ok: false, message: 'enabled field must be boolean' });
   }
 
-  const success = toggleSimulatorMode(enabled);
+  const success = toggleSimulatorMode(enabled, req.user.username);
   if (!success) {
     return res.status(400).json({ 
       ok: false, 
@@ -562,40 +1704,251 @@ app.post('/simulator', (req, res) => {
   res.json(statusPayload());
 });
 
-app.get('/simulator', (req, res) => {
+api.get('/simulator', (req, res) => {
   res.json({ ok: true, simulator: simulatorMode });
 });
 
+// ---- Schedules ----
+api.get('/schedules', requireRole('viewer'), (_req, res) => {
+  res.json({ ok: true, schedules: scheduler.list(), next: scheduler.getNextChange() });
+});
+
+api.post('/schedules', mutation('operator'), (req, res) => {
+  try {
+    const schedule = scheduler.create(req.body || {});
+    res.status(201).json({ ok: true, schedule });
+  } catch (err) {
+    res.status(400).json({ ok: false, message: err.message });
+  }
+});
+
+api.put('/schedules/:id', mutation('operator'), (req, res) => {
+  try {
+    const schedule = scheduler.update(req.params.id, req.body || {});
+    if (!schedule) {
+      return res.status(404).json({ ok: false, message: `Unknown schedule: ${req.params.id}` });
+    }
+    res.json({ ok: true, schedule });
+  } catch (err) {
+    res.status(400).json({ ok: false, message: err.message });
+  }
+});
+
+api.delete('/schedules/:id', requireRole('operator'), (req, res) => {
+  if (!scheduler.remove(req.params.id)) {
+    return res.status(404).json({ ok: false, message: `Unknown schedule: ${req.params.id}` });
+  }
+  res.json({ ok: true });
+});
+
+// ---- Temperatures ----
+api.get('/temperatures', (_req, res) => {
+  res.json({ ok: true, temperatures: sensors.getReadings() });
+});
+
+// ---- Thermostat ----
+api.post('/setpoint', mutation('operator'), (req, res) => {
+  const { setpoint } = req.body || {};
+  const modeKey = (req.body && req.body.mode) || status.target || status.mode;
+  const mode = modes.get(modeKey);
+
+  if (!mode) {
+    return res.status(404).json({ ok: false, message: `Unknown mode: ${modeKey}` });
+  }
+
+  try {
+    thermostat.setSetpoint(mode, setpoint);
+  } catch (err) {
+    return res.status(400).json({ ok: false, message: err.message });
+  }
+
+  console.log(`Setpoint for ${mode.name} set to ${setpoint}°F`);
+  applyHeatingCall();
+  broadcast('equipment', equipmentPayload());
+  persistState();
+  res.json(statusPayload());
+});
+
+// ---- History ----
+// ?from&to (ISO time or epoch ms), ?type (comma-separated, "mode" matches mode.*), ?limit, ?before (cursor)
+function parseHistoryTime(value, name) {
+  if (value === undefined) return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) {
+    throw new Error(`${name} must be an ISO time or epoch milliseconds`);
+  }
+  return ms;
+}
+
+api.get('/history', requireRole('viewer'), (req, res) => {
+  const { type, limit, before } = req.query;
+  let query;
+  try {
+    query = {
+      from: parseHistoryTime(req.query.from, 'from'),
+      to: parseHistoryTime(req.query.to, 'to'),
+      types: type ? String(type).split(',').map(t => t.trim()).filter(Boolean) : null,
+      before: before !== undefined ? Number(before) : null,
+      limit: limit !== undefined ? Number(limit) : HISTORY_PAGE_SIZE,
+    };
+  } catch (err) {
+    return res.status(400).json({ ok: false, message: err.message });
+  }
+  if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > HISTORY_MAX_PAGE_SIZE) {
+    return res.status(400).json({ ok: false, message: `limit must be an integer between 1 and ${HISTORY_MAX_PAGE_SIZE}` });
+  }
+  if (query.before !== null && !Number.isInteger(query.before)) {
+    return res.status(400).json({ ok: false, message: 'before must be an event id' });
+  }
+
+  res.json({ ok: true, ...history.query(query) });
+});
+
+// ---- Runtime statistics ----
+api.get('/stats', requireRole('viewer'), (_req, res) => {
+  res.json({ ok: true, ...runtimeStats.getState() });
+});
+
+// Reset one lifetime counter { counter }, e.g. after replacing a relay
+api.post('/stats/reset', mutation('operator'), (req, res) => {
+  const { counter } = req.body;
+  if (!runtimeStats.reset(counter, req.user.username)) {
+    return res.status(400).json({ ok: false, message: `counter must be one of ${runtimeStats.counters.join(', ')}` });
+  }
+  console.log(`Runtime counter ${counter} reset by ${req.user.username}`);
+  history.record('stats.reset', { actor: req.user.username, counter });
+  try {
+    runtimeStats.save();
+  } catch (err) {
+    console.error('Failed to save runtime stats:', err.message);
+  }
+  res.json({ ok: true, ...runtimeStats.getState() });
+});
+
+// ---- Maintenance reminders ----
+api.get('/maintenance', requireRole('viewer'), (_req, res) => {
+  res.json({ ok: true, tasks: maintenance.list() });
+});
+
+// Mark a task done { note }; its intervals start counting again from now
+api.post('/maintenance/:task/complete', mutation('operator'), (req, res) => {
+  const { note } = req.body;
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return res.status(400).json({ ok: false, message: 'note must be a string' });
+  }
+
+  let before;
+  try {
+    before = maintenance.complete(req.params.task, req.user.username, note || null);
+  } catch (err) {
+    console.error('Failed to save maintenance log:', err.message);
+    return res.status(500).json({ ok: false, message: 'Failed to save maintenance log' });
+  }
+  if (!before) {
+    return res.status(404).json({ ok: false, message: `Unknown maintenance task: ${req.params.task}` });
+  }
+
+  console.log(`🔧 Maintenance done: ${before.name} by ${req.user.username}`);
+  history.record('maintenance.complete', {
+    actor: req.user.username,
+    task: before.key,
+    name: before.name,
+    note: note || null,
+    state: before.state,
+    progress: before.progress,
+  });
+  res.json({ ok: true, tasks: maintenance.list() });
+});
+
+// ---- Freeze protection / maintenance lockout ----
+api.post('/lockout', mutation('operator'), (req, res) => {
+  const { enabled, reason } = req.body;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ ok: false, message: 'enabled field must be boolean' });
+  }
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    return res.status(400).json({ ok: false, message: 'reason must be a string' });
+  }
+
+  if (enabled) {
+    setLockout(req.user.username, reason);
+  } else if (lockout) {
+    clearLockout(req.user.username);
+  }
+  res.json(statusPayload());
+});
+
+// ---- Mount API ----
+app.use('/api/v1', api);
+app.use(api); // unversioned paths kept for existing scripts; new clients should use /api/v1
+
+// Legacy GET mode switches (prefetchable, cacheable) only when explicitly enabled
+if (LEGACY_GET_ROUTES) {
+  console.log('⚠️  Legacy GET mode routes enabled (/mode/:modeKey, /spa/on, /spa/off)');
+  app.get('/mode/:modeKey', requireRole('operator'), (req, res) => handleModeRequest(req.params.modeKey, res, { actor: req.user.username }));
+  app.get('/spa/on', requireRole('operator'), (req, res) => handleModeRequest('spa', res, { actor: req.user.username }));
+  app.get('/spa/off', requireRole('operator'), (req, res) => handleModeRequest('auto', res, { actor: req.user.username }));
+}
+
 // ---- Static/template serving ----
 app.use(express.static(path.join(__dirname, 'templates')));
 app.get('/', (_req, res) => res.sendFile(path.join(__dirname, 'templates', 'index.html')));
 
 // ---- Cleanup on exit ----
-process.on('SIGINT', () => {
-  console.log('Cleaning up GPIO (setting all LOW)…');
-  if (!simulatorMode && gpioHardwareAvailable) {
+let outputsReleased = false;
+
+const shutdownManager = new ShutdownManager({
+  begin: (reason, error) => {
+    console.log(`🛑 Shutting down (${reason})…`);
+    shutdownInfo = { reason, error, at: Date.now() };
+    history.record('shutdown', { reason, error, mode: status.mode, equipment: poolController.getCurrentState() });
+    notifier.notify('STOPPING=1', `STATUS=shutting down (${reason})`);
+    notifier.stop();
+    if (mqttBridge) mqttBridge.stop();
+    persistState();
+  },
+  heaterOff: () => {
+    shutdownOverride = { heater: 'off' };
+    applyOverride();
+  },
+  cooldownRemainingMs: () => {
+    const until = poolController.getInterlockState().cooldownUntil;
+    return until ? Math.max(0, until - Date.now()) : 0;
+  },
+  pumpOff: () => {
+    // The interlock would otherwise keep the pump on until its own cool-down timer ran out
+    poolController.endCooldown();
+    shutdownOverride = { heater: 'off', pump: 'off' };
+    applyOverride();
+  },
+  release: () => {
+    if (outputsReleased || !gpioHardwareAvailable) return;
+    outputsReleased = true;
+    console.log('Cleaning up GPIO (de-energizing all outputs)…');
+    // Drive every output to its inactive level, then release the lines
+    outputBank.deenergizeAll();
+    outputBank.release();
+  },
+  save: () => {
+    runtimeStats.record([]);
     try {
-      // Set all pins LOW before cleanup
-      for (const pin of Object.values(PINS)) {
-        if (gpio[pin] && gpio[pin].line) {
-          gpio[pin].line.setValue(0);
-        }
-      }
-      
-      // Release all lines
-      Object.values(gpio).forEach(pinObj => {
-        if (pinObj.line) pinObj.line.release();
-      });
-    } catch (error) {
-      console.error('GPIO cleanup error:', error.message);
+      runtimeStats.save();
+    } catch (err) {
+      console.error('Failed to save runtime stats:', err.message);
     }
-  }
-  process.exit();
-});
+    persistState();
+  },
+}, { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+shutdownManager.install();
 
 // ---- Start ----
 app.listen(PORT, () => {
   console.log(`SPA control server listening on port ${PORT}`);
   console.log(`Open http://<pi-ip>:${PORT}/`);
+  checkHealth();
+  notifier.notify('READY=1', `STATUS=${healthMonitor.status}, mode ${status.mode}`);
+  if (notifier.watchdogMs) {
+    console.log(`systemd watchdog: pinging every ${notifier.watchdogMs / 2000}s`);
+  }
 });
 
@@ -0,0 +1,135 @@
+/**
+ * Equipment runtime counters and relay cycle statistics, persisted to data/stats.json.
+ */
+
+const fs = require('fs');
+const { writeJsonAtomic } = require('./persistence');
+
+// Local calendar day, "YYYY-MM-DD"
+function localDayKey(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+const STATS_DAYS_KEPT = 35;
+
+// On-time and on-cycles per counter: each output name, plus pump.low / pump.high for pump hours
+// per speed. Lifetime counters can be reset individually (e.g. after replacing a relay); daily
+// buckets feed the today and last-7-days rollups.
+class RuntimeStats {
+  constructor(filePath, counters) {
+    this.filePath = filePath;
+    this.counters = counters;
+    this.lifetime = {}; // counter -> { onMs, cycles, since, resetBy }
+    this.days = {};     // day key -> counter -> { onMs, cycles }
+    this.onSince = {};  // counter -> ms it has been on since (time not yet added)
+    const now = Date.now();
+    counters.forEach(key => { this.lifetime[key] = { onMs: 0, cycles: 0, since: now, resetBy: null }; });
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.counters.forEach(key => {
+      if (saved.lifetime && saved.lifetime[key]) {
+        this.lifetime[key] = { ...this.lifetime[key], ...saved.lifetime[key] };
+      }
+    });
+    this.days = saved.days || {};
+  }
+
+  save() {
+    this.accumulate();
+    writeJsonAtomic(this.filePath, { lifetime: this.lifetime, days: this.days, savedAt: Date.now() });
+  }
+
+  bucket(day, key) {
+    if (!this.days[day]) this.days[day] = {};
+    if (!this.days[day][key]) this.days[day][key] = { onMs: 0, cycles: 0 };
+    return this.days[day][key];
+  }
+
+  // Add the time every running counter has been on, split at local midnight
+  accumulate(now = Date.now()) {
+    Object.entries(this.onSince).forEach(([key, since]) => {
+      let t = since;
+      while (t < now) {
+        const midnight = new Date(t);
+        midnight.setHours(24, 0, 0, 0);
+        const end = Math.min(now, midnight.getTime());
+        this.bucket(localDayKey(t), key).onMs += end - t;
+        this.lifetime[key].onMs += end - t;
+        t = end;
+      }
+      this.onSince[key] = now;
+    });
+
+    const keep = new Set();
+    for (let i = 0; i < STATS_DAYS_KEPT; i++) {
+      keep.add(localDayKey(now - i * 24 * 60 * 60_000));
+    }
+    Object.keys(this.days).forEach(day => { if (!keep.has(day)) delete this.days[day]; });
+  }
+
+  // `on` lists the counters that are on now; an off -> on change counts as a cycle
+  record(on, now = Date.now()) {
+    this.accumulate(now);
+    const active = new Set(on.filter(key => this.lifetime[key]));
+    active.forEach(key => {
+      if (this.onSince[key] === undefined) {
+        this.onSince[key] = now;
+        this.lifetime[key].cycles++;
+        this.bucket(localDayKey(now), key).cycles++;
+      }
+    });
+    Object.keys(this.onSince).forEach(key => {
+      if (!active.has(key)) delete this.onSince[key];
+    });
+  }
+
+  reset(key, actor, now = Date.now()) {
+    if (!this.lifetime[key]) return false;
+    this.accumulate(now);
+    this.lifetime[key] = { onMs: 0, cycles: 0, since: now, resetBy: actor };
+    return true;
+  }
+
+  rollup(days, now = Date.now()) {
+    const totals = {};
+    this.counters.forEach(key => { totals[key] = { onMs: 0, cycles: 0 }; });
+    for (let i = 0; i < days; i++) {
+      const bucket = this.days[localDayKey(now - i * 24 * 60 * 60_000)] || {};
+      Object.entries(bucket).forEach(([key, c]) => {
+        if (!totals[key]) return;
+        totals[key].onMs += c.onMs;
+        totals[key].cycles += c.cycles;
+      });
+    }
+    return totals;
+  }
+
+  // Lifetime { onMs, since } of one counter, including the current run
+  lifetimeOf(key, now = Date.now()) {
+    this.accumulate(now);
+    const counter = this.lifetime[key];
+    return counter ? { onMs: counter.onMs, since: counter.since } : null;
+  }
+
+  getState(now = Date.now()) {
+    this.accumulate(now);
+    const hours = (counters) => Object.fromEntries(Object.entries(counters).map(([key, c]) => [key, {
+      ...c, hours: Math.round(c.onMs / 36_000) / 100, on: this.onSince[key] !== undefined,
+    }]));
+    return {
+      counters: this.counters,
+      today: hours(this.rollup(1, now)),
+      week: hours(this.rollup(7, now)),
+      lifetime: hours(this.lifetime),
+    };
+  }
+}
+
+module.exports = {
+  localDayKey,
+  RuntimeStats,
+};
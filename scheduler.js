@@ -0,0 +1,209 @@
+/**
+ * Time-based mode scheduler with schedules persisted to data/schedules.json.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./persistence');
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class ScheduleEntry {
+  constructor(id, days, start, end, mode, endMode = 'auto', enabled = true) {
+    this.id = id;
+    this.days = days;         // 0 (Sunday) .. 6 (Saturday)
+    this.start = start;       // "HH:MM" local time
+    this.end = end;           // "HH:MM" local time, or null to stay in mode
+    this.mode = mode;
+    this.endMode = endMode;   // mode to return to at end time
+    this.enabled = enabled;
+  }
+
+  // Validate a user-supplied config, merging over an existing entry when updating
+  static fromConfig(config, modes, existing = null) {
+    const merged = { ...(existing || {}), ...config };
+    const days = merged.days;
+
+    if (!Array.isArray(days) || days.length === 0 ||
+        !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw new Error('days must be a non-empty array of integers 0-6');
+    }
+    if (!TIME_RE.test(merged.start || '')) {
+      throw new Error('start must be a time in HH:MM format');
+    }
+    if (merged.end != null && !TIME_RE.test(merged.end)) {
+      throw new Error('end must be a time in HH:MM format or null');
+    }
+    if (!modes.has(merged.mode)) {
+      throw new Error(`Unknown mode: ${merged.mode}`);
+    }
+    const endMode = merged.endMode || 'auto';
+    if (!modes.has(endMode)) {
+      throw new Error(`Unknown mode: ${endMode}`);
+    }
+
+    return new ScheduleEntry(
+      existing ? existing.id : crypto.randomUUID(),
+      Array.from(new Set(days)).sort(),
+      merged.start,
+      merged.end ?? null,
+      merged.mode,
+      endMode,
+      merged.enabled !== false
+    );
+  }
+
+  // Returns [{ at, mode }] for the start/end of any occurrence beginning on the day of `date`
+  occurrencesOn(date) {
+    if (!this.enabled || !this.days.includes(date.getDay())) return [];
+
+    const at = (hhmm, dayOffset = 0) => {
+      const [h, m] = hhmm.split(':').map(Number);
+      const d = new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset, h, m, 0, 0);
+      return d.getTime();
+    };
+
+    const events = [{ at: at(this.start), mode: this.mode }];
+    if (this.end) {
+      // An end time at or before the start time means the window runs past midnight
+      const wraps = this.end <= this.start;
+      events.push({ at: at(this.end, wraps ? 1 : 0), mode: this.endMode });
+    }
+    return events;
+  }
+}
+
+class Scheduler {
+  constructor(filePath, modes, requestMode, tickMs = 15_000) {
+    this.filePath = filePath;
+    this.modes = modes;
+    this.requestMode = requestMode; // (modeKey) => true if accepted, false if busy
+    this.tickMs = tickMs;
+    this.entries = new Map();
+    this.pending = null;            // { mode, scheduleId } waiting for a transition to finish
+    this.lastCheck = Date.now();
+    this.timer = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const list = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const config of list) {
+      try {
+        const entry = ScheduleEntry.fromConfig(config, this.modes);
+        entry.id = config.id || entry.id;
+        this.entries.set(entry.id, entry);
+      } catch (err) {
+        console.error(`Skipping invalid schedule ${config.id}:`, err.message);
+      }
+    }
+    console.log(`Loaded ${this.entries.size} schedules`);
+  }
+
+  save() {
+    writeJsonAtomic(this.filePath, this.list());
+  }
+
+  list() {
+    return Array.from(this.entries.values());
+  }
+
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  create(config) {
+    const entry = ScheduleEntry.fromConfig(config, this.modes);
+    this.entries.set(entry.id, entry);
+    this.save();
+    return entry;
+  }
+
+  update(id, config) {
+    const existing = this.entries.get(id);
+    if (!existing) return null;
+    const entry = ScheduleEntry.fromConfig(config, this.modes, existing);
+    this.entries.set(id, entry);
+    this.save();
+    return entry;
+  }
+
+  remove(id) {
+    const removed = this.entries.delete(id);
+    if (removed) this.save();
+    return removed;
+  }
+
+  start() {
+    this.lastCheck = Date.now();
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Fire every schedule event that fell between the last check and now
+  tick(now = Date.now()) {
+    const from = this.lastCheck;
+    this.lastCheck = now;
+
+    const due = [];
+    for (const entry of this.entries.values()) {
+      for (const dayOffset of [-1, 0]) {
+        const day = new Date(now);
+        day.setDate(day.getDate() + dayOffset);
+        for (const ev of entry.occurrencesOn(day)) {
+          if (ev.at > from && ev.at <= now) due.push({ ...ev, scheduleId: entry.id });
+        }
+      }
+    }
+
+    // Only the most recent event matters if several were missed
+    due.sort((a, b) => a.at - b.at);
+    const latest = due[due.length - 1];
+    if (latest) {
+      console.log(`Schedule ${latest.scheduleId} firing: ${latest.mode}`);
+      this.pending = { mode: latest.mode, scheduleId: latest.scheduleId };
+    }
+
+    this.retryPending();
+  }
+
+  // Called on every tick and whenever a transition finishes
+  retryPending() {
+    if (!this.pending) return;
+    if (!this.modes.has(this.pending.mode)) {
+      console.error(`Scheduled mode no longer exists: ${this.pending.mode}`);
+      this.pending = null;
+      return;
+    }
+    if (this.requestMode(this.pending.mode)) {
+      this.pending = null;
+    }
+  }
+
+  getNextChange(now = Date.now()) {
+    let next = null;
+    for (const entry of this.entries.values()) {
+      for (let dayOffset = -1; dayOffset <= 7; dayOffset++) {
+        const day = new Date(now);
+        day.setDate(day.getDate() + dayOffset);
+        for (const ev of entry.occurrencesOn(day)) {
+          if (ev.at > now && (!next || ev.at < next.at)) {
+            next = { at: ev.at, mode: ev.mode, scheduleId: entry.id };
+          }
+        }
+      }
+    }
+    return next;
+  }
+}
+
+module.exports = {
+  TIME_RE,
+  ScheduleEntry,
+  Scheduler,
+};
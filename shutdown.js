@@ -0,0 +1,84 @@
+/**
+ * Ordered safe shutdown on signals, uncaught exceptions and unhandled rejections.
+ */
+
+// One ordered safe stop for every way the process ends: signals, uncaught exceptions and unhandled
+// rejections. Heater off first, then the pump runs out its cool-down, then it stops and the outputs
+// are released. A hard timeout (or a second signal) skips whatever is left and forces the outputs off.
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+class ShutdownManager {
+  constructor(hooks, options = {}) {
+    // begin(reason, error), heaterOff(), cooldownRemainingMs(), pumpOff(), release(), save()
+    this.hooks = hooks;
+    this.timeoutMs = options.timeoutMs || 60_000;
+    this.maxCooldownMs = options.maxCooldownMs ?? Math.max(0, this.timeoutMs - 10_000);
+    this.reason = null; // set once shutdown has started
+  }
+
+  install() {
+    SHUTDOWN_SIGNALS.forEach(signal => process.on(signal, () => this.shutdown(signal)));
+    process.on('uncaughtException', (err) => {
+      console.error('Uncaught exception:', err);
+      this.shutdown('uncaughtException', { error: String(err && err.stack || err), exitCode: 1 });
+    });
+    process.on('unhandledRejection', (reason) => {
+      console.error('Unhandled promise rejection:', reason);
+      this.shutdown('unhandledRejection', { error: String(reason && reason.stack || reason), exitCode: 1 });
+    });
+  }
+
+  async shutdown(reason, { error = null, exitCode = 0 } = {}) {
+    if (this.reason) {
+      console.error(`${reason} while shutting down (${this.reason}); forcing outputs off now`);
+      this.force(exitCode || 1);
+      return;
+    }
+    this.reason = reason;
+    const timeout = setTimeout(() => {
+      console.error(`Shutdown did not finish within ${this.timeoutMs / 1000}s; forcing outputs off`);
+      this.force(1);
+    }, this.timeoutMs);
+
+    try {
+      this.hooks.begin(reason, error);
+
+      console.log('Shutdown: heater off');
+      this.hooks.heaterOff();
+
+      const remainingMs = this.hooks.cooldownRemainingMs();
+      const cooldownMs = Math.min(remainingMs, this.maxCooldownMs);
+      if (cooldownMs > 0) {
+        console.log(`Shutdown: pump cool-down for ${Math.ceil(cooldownMs / 1000)}s${cooldownMs < remainingMs ? ' (cut short by the shutdown timeout)' : ''}`);
+        await new Promise(resolve => setTimeout(resolve, cooldownMs));
+      }
+
+      console.log('Shutdown: pump off, releasing outputs');
+      this.hooks.pumpOff();
+      this.hooks.release();
+      this.hooks.save();
+    } catch (err) {
+      console.error('Shutdown sequence failed:', err);
+      this.force(1);
+      return;
+    }
+    clearTimeout(timeout);
+    process.exit(exitCode);
+  }
+
+  // Last resort: heater off, every output inactive, exit
+  force(exitCode) {
+    for (const step of ['heaterOff', 'release', 'save']) {
+      try {
+        this.hooks[step]();
+      } catch (err) {
+        console.error(`Shutdown ${step} failed:`, err.message);
+      }
+    }
+    process.exit(exitCode);
+  }
+}
+
+module.exports = {
+  ShutdownManager,
+};
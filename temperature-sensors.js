@@ -0,0 +1,125 @@
+/**
+ * DS18B20 water and air temperature sensors read over 1-Wire sysfs.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const SENSOR_LOCATIONS = ['pool', 'spa', 'heater-in', 'heater-out', 'air'];
+
+class TemperatureSensors {
+  constructor(w1Path, probes, pollMs = 10_000) {
+    this.w1Path = w1Path;     // e.g. /sys/bus/w1/devices
+    this.probes = probes;     // { location: probeId }
+    this.pollMs = pollMs;
+    this.readings = {};
+    this.timer = null;
+    this.polling = false;
+
+    SENSOR_LOCATIONS.forEach(location => {
+      this.readings[location] = {
+        probe: probes[location] || null,
+        celsius: null,
+        fahrenheit: null,
+        timestamp: null,
+        error: probes[location] ? null : 'No probe configured',
+      };
+    });
+  }
+
+  static loadConfig(configPath) {
+    const config = fs.existsSync(configPath)
+      ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+      : {};
+    return {
+      w1Path: process.env.W1_PATH || config.w1Path || '/sys/bus/w1/devices',
+      pollMs: config.pollMs || 10_000,
+      probes: config.probes || {},
+      freezeProtection: config.freezeProtection || {},
+    };
+  }
+
+  // Parse the kernel's w1_slave format:
+  //   72 01 4b 46 7f ff 0e 10 57 : crc=57 YES
+  //   72 01 4b 46 7f ff 0e 10 57 t=23125
+  static parseW1Slave(text) {
+    const lines = text.trim().split('\n');
+    if (lines.length < 2 || !lines[0].trim().endsWith('YES')) {
+      throw new Error('CRC check failed');
+    }
+    const match = lines[1].match(/t=(-?\d+)/);
+    if (!match) {
+      throw new Error('No temperature in sensor output');
+    }
+    return parseInt(match[1], 10) / 1000;
+  }
+
+  async readProbe(probeId) {
+    const text = await fs.promises.readFile(path.join(this.w1Path, probeId, 'w1_slave'), 'utf8');
+    const celsius = TemperatureSensors.parseW1Slave(text);
+    // 85°C is the DS18B20 power-on reset value, not a real reading
+    if (celsius === 85) {
+      throw new Error('Sensor returned power-on reset value');
+    }
+    return celsius;
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      for (const location of SENSOR_LOCATIONS) {
+        const probeId = this.probes[location];
+        if (!probeId) continue;
+
+        const reading = this.readings[location];
+        try {
+          const celsius = await this.readProbe(probeId);
+          reading.celsius = Math.round(celsius * 100) / 100;
+          reading.fahrenheit = Math.round((celsius * 9 / 5 + 32) * 10) / 10;
+          reading.timestamp = Date.now();
+          reading.error = null;
+        } catch (err) {
+          // Keep the last good value and timestamp so consumers can judge staleness
+          if (reading.error !== err.message) {
+            console.log(`Temperature probe ${location} (${probeId}) read failed:`, err.message);
+          }
+          reading.error = err.message;
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  start() {
+    this.poll();
+    this.timer = setInterval(() => this.poll(), this.pollMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getReadings() {
+    const copy = {};
+    for (const [location, reading] of Object.entries(this.readings)) {
+      copy[location] = { ...reading };
+    }
+    return copy;
+  }
+
+  // Latest Fahrenheit value for a location, or null if never read or older than maxAgeMs
+  getTemperature(location, maxAgeMs = Infinity) {
+    const reading = this.readings[location];
+    if (!reading || reading.fahrenheit === null) return null;
+    if (Date.now() - reading.timestamp > maxAgeMs) return null;
+    return reading.fahrenheit;
+  }
+}
+
+module.exports = {
+  SENSOR_LOCATIONS,
+  TemperatureSensors,
+};
@@ -1,10 +1,8 @@
 // templates/app.js
-// SPA Controller client – continuous, linear valve animation synced to server timeline,
-// multi-client polling, and skeuomorphic diagram components. Valves now support a
+// SPA Controller client – continuous, linear valve animation synced to per-valve server timelines,
+// live updates over Server-Sent Events (polling fallback), and skeuomorphic diagram components. Valves now support a
 // configurable base rotation angle via the "base-angle" attribute or setBaseAngle().
 
-let VALVE_MS = 30000; // overwritten by /status
-
 // ===== Shared stylesheet loader for shadow roots =====
 let diagramSheetPromise = null;
 function adoptDiagramStyles(shadowRoot) {
@@ -40,14 +38,20 @@ function adoptDiagramStyles(shadowRoot) {
 const diagram = document.getElementById('diagram');
 const modeSelector = document.getElementById('mode-selector');
 const relayPanel = document.getElementById('relay-panel');
+const circulationPanel = document.getElementById('circulation');
 const simulatorBanner = document.getElementById('simulator-banner');
 const simulatorToggle = document.getElementById('simulator-toggle');
+const freezeBanner = document.getElementById('freeze-banner');
+const lockoutBanner = document.getElementById('lockout-banner');
+const lockoutToggle = document.getElementById('lockout-toggle');
+const login = document.getElementById('login');
 
 // Global state
 let availableModes = [];
 let currentMode = 'auto';
 let simulatorMode = false;
 let gpioHardwareAvailable = true;
+let lockout = null;
 
 // Status update functions for mode selector
 function updateModeSelector(status) {
@@ -90,6 +94,65 @@ function updateSimulatorBanner(isSimulator, hardwareAvailable = true) {
   }
 }
 
+// Freeze protection and maintenance lockout banners
+function updateProtectionBanners(freeze, currentLockout) {
+  lockout = currentLockout || null;
+
+  if (freezeBanner) {
+    const active = !!(freeze && freeze.active);
+    freezeBanner.classList.toggle('hidden', !active);
+    if (active) {
+      freezeBanner.querySelector('.freeze-detail').textContent =
+        `${freeze.reason} · circulating through the ${freeze.path} path`;
+    }
+  }
+
+  if (lockoutBanner) {
+    lockoutBanner.classList.toggle('hidden', !lockout);
+    if (lockout) {
+      const since = new Date(lockout.at).toLocaleTimeString();
+      lockoutBanner.querySelector('.lockout-detail').textContent =
+        `by ${lockout.by} since ${since}${lockout.reason ? ` · ${lockout.reason}` : ''} · freeze protection suspended`;
+    }
+  }
+
+  if (lockoutToggle) {
+    lockoutToggle.textContent = lockout ? 'Release maintenance lockout' : 'Start maintenance lockout';
+    lockoutToggle.classList.toggle('active', !!lockout);
+  }
+}
+
+// ===== API requests =====
+const API = '/api/v1';
+
+// crypto.randomUUID needs a secure context, which a plain-http Pi on the LAN is not
+function newIdempotencyKey() {
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+}
+
+// JSON mutation with an idempotency key, so a retried request cannot fire twice
+function apiPost(url, body) {
+  return apiFetch(API + url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': newIdempotencyKey() },
+    body: JSON.stringify(body)
+  });
+}
+
+// ===== Authenticated requests =====
+// 401 opens the sign-in dialog, 403 explains the missing role; both throw so callers can reset UI
+async function apiFetch(url, options = {}) {
+  const response = await fetch(url, { cache: 'no-store', ...options });
+  if (response.status === 401 || response.status === 403) {
+    const body = await response.json().catch(() => ({}));
+    if (login && typeof login.handleAuthError === 'function') {
+      login.handleAuthError(response.status, body.message);
+    }
+    throw new Error(body.message || `HTTP ${response.status}`);
+  }
+  return response;
+}
+
 async function toggleSimulator() {
   if (!gpioHardwareAvailable) {
     console.log('Cannot toggle simulator mode: GPIO hardware not available');
@@ -97,11 +160,7 @@ async function toggleSimulator() {
   }
   
   try {
-    const response = await fetch('/simulator', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ enabled: !simulatorMode })
-    });
+    const response = await apiPost('/simulator', { enabled: !simulatorMode });
     
     if (!response.ok) {
       const errorData = await response.json();
@@ -109,7 +168,7 @@ async function toggleSimulator() {
       return;
     }
     
-    // Status will be updated via polling
+    // Status will be updated via the event stream (or polling)
   } catch (error) {
     console.error('Failed to toggle simulator mode:', error);
   }
@@ -120,8 +179,32 @@ if (simulatorToggle) {
   simulatorToggle.addEventListener('click', toggleSimulator);
 }
 
+async function toggleLockout() {
+  const body = { enabled: !lockout };
+  if (!lockout) {
+    const reason = window.prompt('Maintenance lockout: freeze protection will not run the pump until released.\nReason (optional):', '');
+    if (reason === null) return;
+    body.reason = reason.trim() || null;
+  }
+
+  try {
+    const response = await apiPost('/lockout', body);
+    if (!response.ok) {
+      const errorData = await response.json();
+      console.error('Failed to change maintenance lockout:', errorData.message);
+    }
+    // Status will be updated via the event stream (or polling)
+  } catch (error) {
+    console.error('Failed to change maintenance lockout:', error);
+  }
+}
+
+if (lockoutToggle) {
+  lockoutToggle.addEventListener('click', toggleLockout);
+}
+
 async function fetchStatus(){
-  const r = await fetch('/status', { cache: 'no-store' });
+  const r = await fetch(`${API}/status`, { cache: 'no-store' });
   if(!r.ok) throw new Error('status HTTP ' + r.status);
   return r.json();
 }
@@ -134,26 +217,37 @@ function updateClockSkew(serverNow) {
   clockSkewMs = clockSkewMs === 0 ? sample : (clockSkewMs * 0.8 + sample * 0.2);
 }
 
-// ===== Valve timeline from server (single source of truth) =====
-let valveTimeline = null; // { moving, from, to, startMs, durationMs }
-let valvePercentIdle = 0; // last stable percent (0..100) when not moving
+// ===== Valve timelines from server (single source of truth, one per actuator) =====
+const VALVE_ACTUATORS = ['suction', 'return'];
+const valveTimelines = {}; // actuator -> { moving, percent, from, to, startMs, durationMs }
 
 function setTimelineFromStatus(j) {
-  if (!j || !j.valve) return;
+  if (!j || !j.valves) return;
   updateClockSkew(j.serverNow);
-  VALVE_MS = j.valveWaitMs ?? VALVE_MS;
 
-  if (typeof j.valve.percent === 'number') {
-    valvePercentIdle = j.valve.percent;
-  }
+  VALVE_ACTUATORS.forEach(name => {
+    const v = j.valves[name];
+    if (!v) return;
+    const percent = Number(v.percent ?? 0);
+    valveTimelines[name] = {
+      moving: !!v.moving,
+      percent,
+      from: Number(v.from ?? percent),
+      to: Number(v.to ?? percent),
+      startMs: Number(v.startMs ?? 0),
+      durationMs: Number(v.durationMs ?? 0),
+    };
+  });
+}
 
-  valveTimeline = {
-    moving: !!j.valve.moving,
-    from: Number(j.valve.from ?? valvePercentIdle),
-    to: Number(j.valve.to ?? valvePercentIdle),
-    startMs: Number(j.valve.startMs ?? 0),
-    durationMs: Number(j.valve.durationMs ?? VALVE_MS),
-  };
+// Interpolated 0..100 position of one actuator at server time `nowServer`
+function valvePercentAt(name, nowServer) {
+  const tl = valveTimelines[name];
+  if (!tl) return 0;
+  if (!tl.moving) return tl.percent;
+  if (tl.durationMs <= 0) return tl.to;
+  const t = Math.max(0, Math.min(1, (nowServer - tl.startMs) / tl.durationMs));
+  return tl.from + (tl.to - tl.from) * t;
 }
 
 // ===== Apply server status to components =====
@@ -168,6 +262,7 @@ async function applyStatus(j){
   
   // Update simulator mode
   updateSimulatorBanner(j.simulator, j.gpioHardwareAvailable);
+  updateProtectionBanners(j.freeze, j.lockout);
   
   // Update diagram based on equipment state
   if (j.equipment && diagram) {
@@ -176,6 +271,16 @@ async function applyStatus(j){
     diagram.setHeater(eq.heater === 'on');
   }
   
+  // Update water temperatures from sensors
+  if (j.temperatures && diagram && typeof diagram.setTemperatures === 'function') {
+    diagram.setTemperatures(j.temperatures);
+  }
+  
+  // Update daily circulation progress
+  if (circulationPanel && typeof circulationPanel.update === 'function') {
+    circulationPanel.update(j.circulation);
+  }
+
   // Update relay panel
   if (j.gpio && relayPanel && typeof relayPanel.updateRelayStates === 'function') {
     relayPanel.updateRelayStates(j.gpio);
@@ -185,31 +290,86 @@ async function applyStatus(j){
   updateModeSelector(j);
 }
 
-// ===== Continuous polling so multiple clients stay in sync =====
+// ===== Live updates: SSE stream, merged into the last full status =====
+let lastStatus = null;
+let streaming = false;
+const STREAM_EVENTS = ['mode', 'modes', 'equipment', 'valves', 'simulator', 'temperatures', 'lastError'];
+const STREAM_RETRY_MS = 5000;
+
+function connectEvents() {
+  if (!('EventSource' in window)) {
+    startPolling();
+    return;
+  }
+
+  const source = new EventSource(`${API}/events`);
+
+  source.addEventListener('status', (e) => {
+    streaming = true;
+    stopPolling();
+    lastStatus = JSON.parse(e.data);
+    applyStatus(lastStatus);
+  });
+
+  STREAM_EVENTS.forEach(type => {
+    source.addEventListener(type, (e) => {
+      // Only server messages carry data; connection errors are left to onerror
+      if (!lastStatus || typeof e.data !== 'string') return;
+      lastStatus = { ...lastStatus, ...JSON.parse(e.data) };
+      applyStatus(lastStatus);
+    });
+  });
+
+  // Stream dropped: poll until it can be re-established
+  source.onerror = () => {
+    source.close();
+    streaming = false;
+    startPolling();
+    setTimeout(connectEvents, STREAM_RETRY_MS);
+  };
+}
+
+// ===== Polling fallback so clients stay in sync without the stream =====
+// One poll chain at a time: `polling` covers the fetch in flight as well as the scheduled timer,
+// and stopPolling() bumps the generation so a fetch still in flight ends its chain
 let pollTimer = null;
-async function pollLoop(intervalMs = 1000, idleMs = 3000){
+let polling = false;
+let pollGeneration = 0;
+
+function startPolling() {
+  if (polling) return;
+  polling = true;
+  pollLoop();
+}
+
+async function pollLoop(intervalMs = 1000, idleMs = 3000, generation = pollGeneration){
+  pollTimer = null;
+  if (streaming || generation !== pollGeneration) return;
+  const again = (ms) => { pollTimer = setTimeout(() => pollLoop(intervalMs, idleMs, generation), ms); };
   try {
     const j = await fetchStatus();
+    if (streaming || generation !== pollGeneration) return;
+    lastStatus = j;
     await applyStatus(j);
-    const next = j.busy ? intervalMs : idleMs;
-    pollTimer = setTimeout(() => pollLoop(intervalMs, idleMs), next);
+    again(j.busy ? intervalMs : idleMs);
   } catch {
-    pollTimer = setTimeout(() => pollLoop(intervalMs, idleMs), 4000);
+    if (generation === pollGeneration) again(4000);
   }
 }
 
+function stopPolling() {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  polling = false;
+  pollGeneration++;
+}
+
 // ===== RAF loop: render valve position from server timeline (no resets) =====
 function startValveRaf() {
   function tick() {
     if (diagram && typeof diagram.setValvePosition === 'function') {
-      if (valveTimeline && valveTimeline.moving && valveTimeline.durationMs > 0) {
-        const nowServer = Date.now() - clockSkewMs;
-        const t = Math.max(0, Math.min(1, (nowServer - valveTimeline.startMs) / valveTimeline.durationMs));
-        const pct = valveTimeline.from + (valveTimeline.to - valveTimeline.from) * t;
-        diagram.setValvePosition(pct / 100);
-      } else {
-        diagram.setValvePosition((valvePercentIdle || 0) / 100);
-      }
+      const nowServer = Date.now() - clockSkewMs;
+      diagram.setValvePosition(valvePercentAt('suction', nowServer) / 100, valvePercentAt('return', nowServer) / 100);
     }
     requestAnimationFrame(tick);
   }
@@ -292,9 +452,9 @@ class PoolDiagram extends HTMLElement{
       <div class="equipment-shed">
         <!-- Water bodies -->
         <div class="water-bodies">
-          <pool-water-body id="pool" type="pool" temperature="75">
+          <pool-water-body id="pool" type="pool">
           </pool-water-body>
-          <pool-water-body id="spa" type="spa" temperature="104">
+          <pool-water-body id="spa" type="spa">
           </pool-water-body>
             <pool-equipment-drain id="spa-drain"></pool-equipment-drain>
             <pool-equipment-inlet id="spa-inlet"></pool-equipment-inlet>
@@ -336,10 +496,11 @@ class PoolDiagram extends HTMLElement{
     this.lastFlowUpdate = 0;
   }
 
-  setValvePosition(norm){
-    const pct = Math.max(0, Math.min(1, norm)) * 100;
-    this.$suction.setValue(pct);
-    this.$return.setValue(pct);
+  // Positions are 0 (pool) .. 1 (spa); one argument moves both valves together
+  setValvePosition(suction, ret = suction){
+    const clamp = (norm) => Math.max(0, Math.min(1, norm)) * 100;
+    this.$suction.setValue(clamp(suction));
+    this.$return.setValue(clamp(ret));
     this.throttledUpdatePipeFlows();
   }
   
@@ -353,6 +514,11 @@ class PoolDiagram extends HTMLElement{
     this.throttledUpdatePipeFlows();
   }
   
+  setTemperatures(temps) {
+    this.$pool.setTemperature(temps.pool?.fahrenheit ?? null);
+    this.$spa.setTemperature(temps.spa?.fahrenheit ?? null);
+  }
+  
   throttledUpdatePipeFlows() {
     const now = Date.now();
     if (now - this.lastFlowUpdate < 100) {
@@ -532,6 +698,10 @@ class PoolModeSelector extends HTMLElement {
     this.currentMode = 'auto';
     this.targetMode = null;
     this.busy = false;
+    this.transition = null;
+    this.timer = null;
+    this.progressAt = 0;
+    this.stepTimer = null;
     this.isDragging = false;
     this.dragStartX = 0;
     this.knobStartX = 0;
@@ -630,6 +800,47 @@ class PoolModeSelector extends HTMLElement {
           50% { opacity: .40; filter: brightness(110%); }
           100% { opacity: .18; filter: brightness(95%); }
         }
+        .step {
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          gap: 10px;
+          margin-top: 8px;
+          min-height: 1.6em;
+          font-size: .8rem;
+        }
+        .step-text {
+          opacity: .75;
+        }
+        .cancel {
+          font: inherit;
+          font-weight: 700;
+          color: inherit;
+          background: rgba(224,79,79,.18);
+          border: 1px solid rgba(224,79,79,.5);
+          border-radius: 999px;
+          padding: 2px 12px;
+          cursor: pointer;
+        }
+        .cancel:hover {
+          background: rgba(224,79,79,.32);
+        }
+        .cancel[hidden], .timer-action[hidden] {
+          display: none;
+        }
+        .timer-action {
+          font: inherit;
+          font-weight: 700;
+          color: inherit;
+          background: rgba(255,255,255,.08);
+          border: 1px solid rgba(255,255,255,.22);
+          border-radius: 999px;
+          padding: 2px 12px;
+          cursor: pointer;
+        }
+        .timer-action:hover {
+          background: rgba(255,255,255,.16);
+        }
       </style>
       <div class="mode-slider" id="slider">
         <span class="sr" id="sr">Loading modes...</span>
@@ -637,6 +848,12 @@ class PoolModeSelector extends HTMLElement {
         <div class="knob" id="knob"></div>
         <div class="labels" id="labels"></div>
       </div>
+      <div class="step">
+        <span class="step-text" id="step" aria-live="polite"></span>
+        <button class="cancel" id="cancel" type="button" hidden>Cancel</button>
+        <button class="timer-action" id="extend" type="button" hidden>+30 min</button>
+        <button class="timer-action" id="keep-on" type="button" hidden>Keep on</button>
+      </div>
     `;
     
     this.$slider = this.shadowRoot.getElementById('slider');
@@ -644,6 +861,13 @@ class PoolModeSelector extends HTMLElement {
     this.$tint = this.shadowRoot.getElementById('tint');
     this.$knob = this.shadowRoot.getElementById('knob');
     this.$labels = this.shadowRoot.getElementById('labels');
+    this.$step = this.shadowRoot.getElementById('step');
+    this.$cancel = this.shadowRoot.getElementById('cancel');
+    this.$cancel.addEventListener('click', () => this.cancelTransition());
+    this.$extend = this.shadowRoot.getElementById('extend');
+    this.$extend.addEventListener('click', () => this.timerAction(this.$extend, '/timer/extend', { minutes: 30 }));
+    this.$keepOn = this.shadowRoot.getElementById('keep-on');
+    this.$keepOn.addEventListener('click', () => this.timerAction(this.$keepOn, '/timer/cancel', {}));
     
     // Add drag/touch event listeners
     this.setupDragHandlers();
@@ -763,6 +987,7 @@ class PoolModeSelector extends HTMLElement {
     this.currentMode = status.mode;
     this.targetMode = status.target;
     this.busy = status.busy;
+    this.setProgress(status.transition || null, status.timer || null);
     
     // Update modes if provided
     if (status.modes && status.modes.length > 0) {
@@ -777,6 +1002,88 @@ class PoolModeSelector extends HTMLElement {
     this.updateVisualState();
   }
   
+  // Show the running transition step or the mode timer; remaining times count down locally between updates
+  setProgress(transition, timer) {
+    this.transition = transition;
+    this.timer = timer;
+    this.progressAt = Date.now();
+    const ticking = !!(transition || timer);
+    if (ticking && !this.stepTimer) {
+      this.stepTimer = setInterval(() => this.renderStep(), 1000);
+    } else if (!ticking && this.stepTimer) {
+      clearInterval(this.stepTimer);
+      this.stepTimer = null;
+    }
+    this.renderStep();
+  }
+
+  // "m:ss", or "h:mm:ss" once it runs past an hour
+  static formatRemaining(ms) {
+    const total = Math.ceil(Math.max(0, ms) / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
+
+  renderStep() {
+    const t = this.transition;
+    const timer = !t ? this.timer : null;
+    const elapsed = Date.now() - this.progressAt;
+
+    // Cancel is offered while the knob is working, but not for the switch that undoes a cancel
+    this.$cancel.hidden = !t || t.reverting;
+    this.$extend.hidden = !timer;
+    this.$keepOn.hidden = !timer;
+
+    if (t) {
+      const remaining = t.remainingMs - elapsed;
+      const left = remaining > 0 ? ` · ${PoolModeSelector.formatRemaining(remaining)} left` : '';
+      const prefix = t.reverting ? 'Cancelling · ' : '';
+      this.$step.textContent = `${prefix}Step ${t.step}/${t.steps}: ${t.label}${left}`;
+    } else if (timer) {
+      // The server refuses to extend past maxMinutes from now
+      const atMax = timer.remainingMs - elapsed + 30 * 60000 > timer.maxMinutes * 60000;
+      this.$extend.disabled = atMax;
+      this.$extend.title = atMax ? `Limited to ${timer.maxMinutes} min from now` : '';
+      const name = (key) => this.modes.find(m => m.key === key)?.name || key;
+      const left = PoolModeSelector.formatRemaining(timer.remainingMs - elapsed);
+      this.$step.textContent = `${name(timer.mode)} · ${left} left, then ${name(timer.fallback)}`;
+    } else {
+      this.$step.textContent = '';
+    }
+  }
+
+  async timerAction(button, url, body) {
+    button.disabled = true;
+    try {
+      const response = await apiPost(url, body);
+      if (!response.ok) {
+        const j = await response.json().catch(() => ({}));
+        throw new Error(j.message || `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Timer request failed:', error);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async cancelTransition() {
+    this.$cancel.disabled = true;
+    try {
+      const response = await apiPost('/transition/cancel', {});
+      if (!response.ok && response.status !== 409) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      // The event stream brings the reverting transition
+    } catch (error) {
+      console.error('Failed to cancel transition:', error);
+    } finally {
+      this.$cancel.disabled = false;
+    }
+  }
+  
   updateVisualState() {
     // Use target mode if we're transitioning, otherwise use current mode
     const displayMode = this.targetMode || this.currentMode;
@@ -846,16 +1153,13 @@ class PoolModeSelector extends HTMLElement {
     }
     
     try {
-      const response = await fetch(`/mode/${modeKey}`, { 
-        method: 'GET', 
-        cache: 'no-store' 
-      });
+      const response = await apiPost('/mode', { mode: modeKey });
       
       if (!response.ok && response.status !== 409) {
         throw new Error(`HTTP ${response.status}`);
       }
       
-      // Let polling handle the final UI update
+      // Let the event stream handle the final UI update
     } catch (error) {
       console.error('Failed to switch mode:', error);
       // Reset visual state on error - let polling reconcile
@@ -1268,7 +1572,7 @@ class PoolWaterBody extends PoolFlowComponent {
     super();
     this.attachShadow({ mode: 'open' });
     this.type = 'pool'; // 'pool' or 'spa'
-    this.temperature = 78; // default temp
+    this.temperature = null; // °F, null until a sensor reading arrives
     
     this.shadowRoot.innerHTML = `
       <style>
@@ -1303,7 +1607,7 @@ class PoolWaterBody extends PoolFlowComponent {
         }
       </style>
       <div class="water-body">
-        <div class="temperature">${this.temperature}°F</div>
+        <div class="temperature">--°F</div>
       </div>
     `;
     
@@ -1388,17 +1692,21 @@ class PoolWaterBody extends PoolFlowComponent {
         body.classList.toggle('spa', newVal === 'spa');
       }
     } else if (name === 'temperature') {
-      this.temperature = parseFloat(newVal) || 78;
+      const temp = parseFloat(newVal);
+      this.temperature = Number.isFinite(temp) ? temp : null;
       const tempEl = this.shadowRoot.querySelector('.temperature');
       if (tempEl) {
-        tempEl.textContent = `${this.temperature}°F`;
+        tempEl.textContent = this.temperature === null ? '--°F' : `${Math.round(this.temperature)}°F`;
       }
     }
   }
   
   setTemperature(temp) {
-    this.temperature = temp;
-    this.setAttribute('temperature', temp);
+    if (temp === null || temp === undefined) {
+      this.removeAttribute('temperature');
+    } else {
+      this.setAttribute('temperature', temp);
+    }
   }
 }
 
@@ -2136,26 +2444,39 @@ class PoolRelayPanel extends HTMLElement {
     this.setupRelayItems();
   }
   
-  setupRelayItems() {
-    const relays = [
-      { key: 'RELAY_INFLOW', label: 'Inflow Valve', pin: 25 },
-      { key: 'RELAY_OUTFLOW', label: 'Return Valve', pin: 24 },
-      { key: 'PUMP', label: 'Pump', pin: 23 },
-      { key: 'PUMP_TURBO', label: 'Pump Turbo', pin: 18 },
-      { key: 'HEATER_SPA', label: 'Heater', pin: 14 }
-    ];
+  // Output list comes from the server's hardware config
+  async setupRelayItems() {
+    let outputs = [];
+    try {
+      const r = await fetch(`${API}/hardware`, { cache: 'no-store' });
+      if (!r.ok) throw new Error('hardware HTTP ' + r.status);
+      outputs = (await r.json()).outputs || [];
+    } catch (error) {
+      console.error('Failed to load hardware config:', error);
+      this.$grid.textContent = 'Hardware configuration unavailable';
+      return;
+    }
     
     this.$grid.innerHTML = '';
-    relays.forEach(relay => {
+    outputs.forEach(output => {
       const item = document.createElement('div');
       item.className = 'relay-item';
+      const where = output.chip !== null ? `gpiochip${output.chip} line ${output.line}` : `line ${output.line}`;
+      item.title = `${output.driver} ${where}, ${output.polarity}`;
+      let pin = `${output.driver}:${output.line}`;
+      if (output.type === 'libgpiod') {
+        pin = output.chip === 0 ? `P${output.line}` : `${output.chip}:${output.line}`;
+      }
       item.innerHTML = `
-        <div class="relay-indicator" id="indicator-${relay.key}"></div>
-        <div class="relay-label">${relay.label}</div>
-        <div class="relay-pin">P${relay.pin}</div>
+        <div class="relay-indicator" id="indicator-${output.name}"></div>
+        <div class="relay-label">${output.label}</div>
+        <div class="relay-pin">${pin}</div>
       `;
       this.$grid.appendChild(item);
     });
+    
+    // Re-apply the last known states to the freshly rendered indicators
+    this.updateRelayStates(this.relayStates);
   }
   
   updateRelayStates(gpioStates) {
@@ -2179,15 +2500,740 @@ class PoolRelayPanel extends HTMLElement {
 
 customElements.define('pool-relay-panel', PoolRelayPanel);
 
-// ===== Start: initial fetch, RAF, and polling =====
+// ===== Daily circulation quota =====
+class PoolCirculation extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin: 16px 0;
+        }
+        :host([hidden]) {
+          display: none;
+        }
+        .panel {
+          background: rgba(255, 255, 255, 0.02);
+          border: 1px solid rgba(255, 255, 255, 0.08);
+          border-radius: 12px;
+          padding: 16px;
+        }
+        .panel-title {
+          display: flex;
+          justify-content: space-between;
+          font-size: 0.9rem;
+          font-weight: 600;
+          color: var(--muted, #9aa4b2);
+          margin-bottom: 10px;
+          letter-spacing: 0.5px;
+        }
+        .bar {
+          height: 10px;
+          border-radius: 999px;
+          background: rgba(0, 0, 0, 0.3);
+          overflow: hidden;
+        }
+        .fill {
+          height: 100%;
+          width: 0;
+          background: linear-gradient(90deg, #6aa8ff, #2bd576);
+          transition: width 0.4s ease;
+        }
+        .fill.behind {
+          background: linear-gradient(90deg, #f5d15f, #e6a550);
+        }
+        .details {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: space-between;
+          gap: 6px 16px;
+          margin-top: 10px;
+          font-size: 0.75rem;
+          color: var(--text, #e8ecf1);
+          opacity: 0.8;
+        }
+        .reason {
+          color: var(--muted, #9aa4b2);
+        }
+      </style>
+      <div class="panel">
+        <div class="panel-title">
+          <span>Daily Circulation</span>
+          <span id="percent">0%</span>
+        </div>
+        <div class="bar"><div class="fill" id="fill"></div></div>
+        <div class="details">
+          <span id="gallons"></span>
+          <span id="runtime"></span>
+          <span class="reason" id="reason"></span>
+        </div>
+      </div>
+    `;
+    this.$ = (id) => this.shadowRoot.getElementById(id);
+  }
+
+  static formatMinutes(minutes) {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return h > 0 ? `${h}h ${m}m` : `${m}m`;
+  }
+
+  update(circulation) {
+    this.hidden = !circulation || !circulation.enabled;
+    if (this.hidden) return;
+
+    const c = circulation;
+    this.$('percent').textContent = `${c.percent}%`;
+    this.$('fill').style.width = `${c.percent}%`;
+    this.$('fill').classList.toggle('behind', !c.onTrack);
+    this.$('gallons').textContent =
+      `${c.gallons.toLocaleString()} / ${c.quotaGallons.toLocaleString()} gal · ${c.turnovers} of ${c.turnoversPerDay} turnovers`;
+
+    const ran = PoolCirculation.formatMinutes(c.runMinutes.low + c.runMinutes.high);
+    const left = c.remainingMinutes > 0 ? ` · ${PoolCirculation.formatMinutes(c.remainingMinutes)} to go on ${c.pumpSpeed}` : '';
+    this.$('runtime').textContent = `Pump ${ran} today${left}`;
+
+    let reason = c.active ? c.reason : `Quota runs in ${c.mode} mode`;
+    if (c.remainingMinutes > 0 && !c.onTrack) {
+      reason += ' · not enough window time left today';
+    }
+    this.$('reason').textContent = reason;
+  }
+}
+
+customElements.define('pool-circulation', PoolCirculation);
+
+// ===== Maintenance reminders =====
+const MAINTENANCE_UNITS = { pumpHours: 'pump h', heaterHours: 'heater h', days: 'days' };
+
+class PoolMaintenance extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.tasks = [];
+    this.refreshTimer = null;
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin: 16px 0;
+        }
+        .panel {
+          background: rgba(255, 255, 255, 0.02);
+          border: 1px solid rgba(255, 255, 255, 0.08);
+          border-radius: 12px;
+          padding: 16px;
+        }
+        .panel-title {
+          display: flex;
+          justify-content: space-between;
+          font-size: 0.9rem;
+          font-weight: 600;
+          color: var(--muted, #9aa4b2);
+          margin-bottom: 10px;
+          letter-spacing: 0.5px;
+        }
+        .next {
+          font-weight: 400;
+          font-size: 0.75rem;
+        }
+        ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+        li {
+          display: grid;
+          grid-template-columns: 1fr auto;
+          gap: 4px 12px;
+          padding: 8px 4px;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.04);
+          font-size: 0.8rem;
+        }
+        .meta {
+          grid-column: 1;
+          font-size: 0.7rem;
+          color: var(--muted, #9aa4b2);
+        }
+        .bar {
+          grid-column: 1;
+          height: 6px;
+          border-radius: 999px;
+          background: rgba(0, 0, 0, 0.3);
+          overflow: hidden;
+        }
+        .fill {
+          height: 100%;
+          background: #2bd576;
+        }
+        li.due .fill {
+          background: #f5d15f;
+        }
+        li.overdue .fill {
+          background: #e04f4f;
+        }
+        li.overdue .name {
+          color: #e04f4f;
+        }
+        button {
+          grid-column: 2;
+          grid-row: 1 / span 3;
+          align-self: center;
+          background: rgba(0, 0, 0, 0.25);
+          color: var(--text, #e8ecf1);
+          border: 1px solid rgba(255, 255, 255, 0.12);
+          border-radius: 6px;
+          padding: 4px 10px;
+          font-size: 0.75rem;
+          cursor: pointer;
+        }
+        .empty {
+          font-size: 0.75rem;
+          color: var(--muted, #9aa4b2);
+        }
+        .hidden {
+          display: none;
+        }
+      </style>
+      <div class="panel">
+        <div class="panel-title">
+          <span>Maintenance</span>
+          <span class="next" id="next"></span>
+        </div>
+        <ul id="list"></ul>
+        <div class="empty hidden" id="empty"></div>
+      </div>
+    `;
+    this.$list = this.shadowRoot.getElementById('list');
+    this.$empty = this.shadowRoot.getElementById('empty');
+    this.$next = this.shadowRoot.getElementById('next');
+    this.onAuthChange = () => this.load();
+  }
+
+  connectedCallback() {
+    document.addEventListener('auth-change', this.onAuthChange);
+    this.load();
+    this.refreshTimer = setInterval(() => this.load(), 60000);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener('auth-change', this.onAuthChange);
+    clearInterval(this.refreshTimer);
+  }
+
+  // Plain fetch, like the history panel: viewers only, without popping the sign-in dialog
+  async load() {
+    let j;
+    try {
+      const r = await fetch(`${API}/maintenance`, { cache: 'no-store' });
+      if (r.status === 401 || r.status === 403) {
+        this.showMessage('Sign in to view maintenance reminders');
+        return;
+      }
+      if (!r.ok) throw new Error('maintenance HTTP ' + r.status);
+      j = await r.json();
+    } catch (error) {
+      console.error('Failed to load maintenance tasks:', error);
+      return;
+    }
+    this.tasks = j.tasks;
+    this.render();
+  }
+
+  async complete(task) {
+    const note = window.prompt(`Mark "${task.name}" as done.\nNote (optional):`, '');
+    if (note === null) return;
+
+    try {
+      const response = await apiPost(`/maintenance/${encodeURIComponent(task.key)}/complete`, { note: note.trim() || null });
+      const j = await response.json();
+      if (!response.ok) {
+        console.error('Failed to complete maintenance task:', j.message);
+        return;
+      }
+      this.tasks = j.tasks;
+      this.render();
+    } catch (error) {
+      console.error('Failed to complete maintenance task:', error);
+    }
+  }
+
+  showMessage(text) {
+    this.tasks = [];
+    this.$list.innerHTML = '';
+    this.$next.textContent = '';
+    this.$empty.textContent = text;
+    this.$empty.classList.remove('hidden');
+  }
+
+  static describeProgress(task) {
+    return Object.entries(task.progress)
+      .map(([interval, p]) => `${p.used} / ${p.limit} ${MAINTENANCE_UNITS[interval]}`)
+      .join(' · ');
+  }
+
+  render() {
+    this.$list.innerHTML = '';
+    // The server lists the most urgent task first
+    this.tasks.forEach(task => {
+      const item = document.createElement('li');
+      item.className = task.state;
+
+      const name = document.createElement('span');
+      name.className = 'name';
+      name.textContent = task.state === 'ok' ? task.name : `${task.name} (${task.state})`;
+      if (task.description) name.title = task.description;
+
+      const bar = document.createElement('div');
+      bar.className = 'bar';
+      const fill = document.createElement('div');
+      fill.className = 'fill';
+      fill.style.width = `${Math.min(100, Math.round(task.fraction * 100))}%`;
+      bar.appendChild(fill);
+
+      const meta = document.createElement('span');
+      meta.className = 'meta';
+      const last = task.lastCompleted.by
+        ? `last done ${new Date(task.lastCompleted.at).toLocaleDateString()} by ${task.lastCompleted.by}`
+        : `tracked since ${new Date(task.lastCompleted.at).toLocaleDateString()}`;
+      meta.textContent = `${PoolMaintenance.describeProgress(task)} · ${last}`;
+
+      const done = document.createElement('button');
+      done.textContent = 'Done';
+      done.addEventListener('click', () => this.complete(task));
+
+      item.append(name, done, bar, meta);
+      this.$list.appendChild(item);
+    });
+
+    const next = this.tasks[0];
+    this.$next.textContent = next ? `Next: ${next.name}` : '';
+    this.$empty.textContent = 'No maintenance tasks configured';
+    this.$empty.classList.toggle('hidden', this.tasks.length > 0);
+  }
+}
+
+customElements.define('pool-maintenance', PoolMaintenance);
+
+// ===== Event history =====
+const HISTORY_PAGE_SIZE = 20;
+
+class PoolHistory extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.events = [];
+    this.next = null;
+    this.refreshTimer = null;
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin: 16px 0;
+        }
+        .panel {
+          background: rgba(255, 255, 255, 0.02);
+          border: 1px solid rgba(255, 255, 255, 0.08);
+          border-radius: 12px;
+          padding: 16px;
+        }
+        .panel-title {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          font-size: 0.9rem;
+          font-weight: 600;
+          color: var(--muted, #9aa4b2);
+          margin-bottom: 10px;
+          letter-spacing: 0.5px;
+        }
+        select, button {
+          background: rgba(0, 0, 0, 0.25);
+          color: var(--text, #e8ecf1);
+          border: 1px solid rgba(255, 255, 255, 0.12);
+          border-radius: 6px;
+          padding: 4px 8px;
+          font-size: 0.75rem;
+        }
+        button {
+          cursor: pointer;
+          margin-top: 10px;
+        }
+        ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          max-height: 260px;
+          overflow-y: auto;
+        }
+        li {
+          display: grid;
+          grid-template-columns: 9em 1fr auto;
+          gap: 8px;
+          padding: 6px 4px;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.04);
+          font-size: 0.75rem;
+        }
+        .time, .actor {
+          color: var(--muted, #9aa4b2);
+        }
+        .error {
+          color: #e04f4f;
+        }
+        .empty {
+          font-size: 0.75rem;
+          color: var(--muted, #9aa4b2);
+        }
+        .hidden {
+          display: none;
+        }
+      </style>
+      <div class="panel">
+        <div class="panel-title">
+          <span>History</span>
+          <select id="type" aria-label="Event type">
+            <option value="">All events</option>
+            <option value="mode">Mode switches</option>
+            <option value="equipment">Manual overrides</option>
+            <option value="freeze,lockout">Freeze / lockout</option>
+            <option value="maintenance,stats">Maintenance</option>
+            <option value="simulator,startup,shutdown,health">System</option>
+          </select>
+        </div>
+        <ul id="list"></ul>
+        <div class="empty hidden" id="empty"></div>
+        <button id="more" class="hidden">Load older</button>
+      </div>
+    `;
+    this.$list = this.shadowRoot.getElementById('list');
+    this.$empty = this.shadowRoot.getElementById('empty');
+    this.$more = this.shadowRoot.getElementById('more');
+    this.$type = this.shadowRoot.getElementById('type');
+
+    this.$type.addEventListener('change', () => this.load());
+    this.$more.addEventListener('click', () => this.load(this.next));
+    this.onAuthChange = () => this.load();
+  }
+
+  connectedCallback() {
+    document.addEventListener('auth-change', this.onAuthChange);
+    this.load();
+    // Keep the first page current; older pages stay put while being read
+    this.refreshTimer = setInterval(() => {
+      if (this.events.length <= HISTORY_PAGE_SIZE) this.load();
+    }, 15000);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener('auth-change', this.onAuthChange);
+    clearInterval(this.refreshTimer);
+  }
+
+  // Plain fetch: a viewer-only panel should not pop the sign-in dialog on its own
+  async load(before = null) {
+    const params = new URLSearchParams({ limit: HISTORY_PAGE_SIZE });
+    if (this.$type.value) params.set('type', this.$type.value);
+    if (before !== null) params.set('before', before);
+
+    let j;
+    try {
+      const r = await fetch(`${API}/history?${params}`, { cache: 'no-store' });
+      if (r.status === 401 || r.status === 403) {
+        this.showMessage('Sign in to view the history');
+        return;
+      }
+      if (!r.ok) throw new Error('history HTTP ' + r.status);
+      j = await r.json();
+    } catch (error) {
+      console.error('Failed to load history:', error);
+      return;
+    }
+
+    this.events = before !== null ? [...this.events, ...j.events] : j.events;
+    this.next = j.next;
+    this.render();
+  }
+
+  showMessage(text) {
+    this.events = [];
+    this.next = null;
+    this.$list.innerHTML = '';
+    this.$empty.textContent = text;
+    this.$empty.classList.remove('hidden');
+    this.$more.classList.add('hidden');
+  }
+
+  static describe(e) {
+    const seconds = (ms) => `${Math.round(ms / 1000)}s`;
+    switch (e.type) {
+      case 'mode.start': return `${e.reverting ? 'Reverting' : 'Switching'} ${e.from} → ${e.mode}`;
+      case 'mode.finish': return `Now in ${e.mode} (took ${seconds(e.durationMs)})`;
+      case 'mode.interrupted': return `Switch to ${e.mode} interrupted after ${seconds(e.durationMs)}`;
+      case 'mode.error': return `Switch to ${e.mode} failed: ${e.error}`;
+      case 'equipment': return `Set ${e.equipment} ${e.state}${e.blocked && e.blocked.length ? ` (blocked: ${e.blocked.join('; ')})` : ''}`;
+      case 'simulator': return `Simulator ${e.enabled ? 'enabled' : 'disabled'}`;
+      case 'freeze.on': return `Freeze protection on: ${e.reason}`;
+      case 'freeze.off': return `Freeze protection off: ${e.reason}`;
+      case 'lockout.on': return `Maintenance lockout${e.reason ? `: ${e.reason}` : ''}`;
+      case 'lockout.off': return 'Maintenance lockout released';
+      case 'stats.reset': return `Reset ${e.counter} runtime counter`;
+      case 'maintenance.due': return `Maintenance due soon: ${e.name}`;
+      case 'maintenance.overdue': return `Maintenance overdue: ${e.name}`;
+      case 'maintenance.complete': return `Maintenance done: ${e.name}${e.note ? ` (${e.note})` : ''}`;
+      case 'health.degraded': return `Health degraded: ${e.checks.map(c => c.message).join('; ')}`;
+      case 'health.failed': return `Health check failed: ${e.checks.filter(c => c.status === 'failed').map(c => c.message).join('; ')}`;
+      case 'health.healthy': return 'Health checks passing';
+      case 'health.safe-state': return `Safe state: ${e.reason}`;
+      case 'health.recovered': return 'Left safe state';
+      case 'startup': return `Controller started${e.simulator ? ' (simulator)' : ''}`;
+      case 'shutdown': return `Controller stopped (${e.signal || e.reason || 'shutdown'})`;
+      default: return e.type;
+    }
+  }
+
+  render() {
+    this.$list.innerHTML = '';
+    this.events.forEach(e => {
+      const item = document.createElement('li');
+      const time = document.createElement('span');
+      time.className = 'time';
+      time.textContent = new Date(e.at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      const text = document.createElement('span');
+      text.textContent = PoolHistory.describe(e);
+      text.classList.toggle('error', e.type === 'mode.error' || e.type === 'freeze.on' || e.type === 'maintenance.overdue' || e.type === 'health.safe-state');
+      const actor = document.createElement('span');
+      actor.className = 'actor';
+      actor.textContent = e.actor;
+      item.append(time, text, actor);
+      this.$list.appendChild(item);
+    });
+
+    this.$empty.textContent = 'No events recorded yet';
+    this.$empty.classList.toggle('hidden', this.events.length > 0);
+    this.$more.classList.toggle('hidden', this.next === null);
+  }
+}
+customElements.define('pool-history', PoolHistory);
+
+// ===== Sign-in bar and dialog =====
+class PoolLogin extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.user = null;
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          position: absolute;
+          top: 28px;
+          right: 28px;
+        }
+        .bar {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          font-size: 0.8rem;
+          color: var(--muted, #9aa4b2);
+        }
+        .role {
+          padding: 2px 8px;
+          border-radius: 999px;
+          background: rgba(255,255,255,0.06);
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          font-size: 0.7rem;
+        }
+        button {
+          background: rgba(255,255,255,0.06);
+          color: var(--text, #e8ecf1);
+          border: 1px solid rgba(255,255,255,0.12);
+          padding: 6px 12px;
+          border-radius: 6px;
+          font-size: 0.8rem;
+          cursor: pointer;
+        }
+        button:hover { background: rgba(255,255,255,0.12); }
+        .overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0,0,0,0.55);
+          display: grid;
+          place-items: center;
+          z-index: 100;
+        }
+        .overlay.hidden, .hidden { display: none; }
+        form {
+          width: min(320px, 86vw);
+          background: #151b2f;
+          border: 1px solid rgba(255,255,255,0.08);
+          border-radius: 16px;
+          padding: 22px;
+          display: grid;
+          gap: 12px;
+          box-shadow: 0 30px 80px rgba(0,0,0,0.45);
+        }
+        h2 { margin: 0; font-size: 1.1rem; color: var(--text, #e8ecf1); }
+        input {
+          background: #0f1427;
+          color: var(--text, #e8ecf1);
+          border: 1px solid rgba(255,255,255,0.12);
+          border-radius: 8px;
+          padding: 10px 12px;
+          font-size: 0.9rem;
+        }
+        .message { min-height: 1em; font-size: 0.8rem; color: var(--red, #e04f4f); }
+        .actions { display: flex; justify-content: flex-end; gap: 8px; }
+        .notice {
+          position: fixed;
+          bottom: 24px;
+          left: 50%;
+          transform: translateX(-50%);
+          background: #2a1f08;
+          color: var(--yellow, #f5d15f);
+          border: 1px solid rgba(245,209,95,0.4);
+          border-radius: 8px;
+          padding: 10px 16px;
+          font-size: 0.85rem;
+          z-index: 101;
+        }
+      </style>
+      <div class="bar">
+        <span id="who"></span>
+        <span class="role hidden" id="role"></span>
+        <button id="action">Sign in</button>
+      </div>
+      <div class="overlay hidden" id="overlay">
+        <form id="form">
+          <h2>Sign in</h2>
+          <input id="username" name="username" autocomplete="username" placeholder="Username" required>
+          <input id="password" name="password" type="password" autocomplete="current-password" placeholder="Password" required>
+          <div class="message" id="message"></div>
+          <div class="actions">
+            <button type="button" id="cancel">Cancel</button>
+            <button type="submit">Sign in</button>
+          </div>
+        </form>
+      </div>
+      <div class="notice hidden" id="notice"></div>
+    `;
+
+    this.$who = this.shadowRoot.getElementById('who');
+    this.$role = this.shadowRoot.getElementById('role');
+    this.$action = this.shadowRoot.getElementById('action');
+    this.$overlay = this.shadowRoot.getElementById('overlay');
+    this.$form = this.shadowRoot.getElementById('form');
+    this.$username = this.shadowRoot.getElementById('username');
+    this.$password = this.shadowRoot.getElementById('password');
+    this.$message = this.shadowRoot.getElementById('message');
+    this.$notice = this.shadowRoot.getElementById('notice');
+
+    this.$action.addEventListener('click', () => this.user ? this.logout() : this.open());
+    this.shadowRoot.getElementById('cancel').addEventListener('click', () => this.close());
+    this.$form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.login();
+    });
+  }
+
+  connectedCallback() {
+    this.refresh();
+  }
+
+  async refresh() {
+    try {
+      const r = await fetch(`${API}/auth/me`, { cache: 'no-store' });
+      const j = await r.json();
+      this.setUser(j.user, j.authDisabled);
+    } catch {
+      // leave the bar as-is; the next action will prompt again
+    }
+  }
+
+  setUser(user, authDisabled = false) {
+    this.user = user;
+    this.$who.textContent = user ? user.username : '';
+    this.$role.textContent = user ? user.role : '';
+    this.$role.classList.toggle('hidden', !user);
+    this.$action.textContent = user ? 'Sign out' : 'Sign in';
+    this.$action.classList.toggle('hidden', authDisabled);
+    document.dispatchEvent(new CustomEvent('auth-change', { detail: { user } }));
+  }
+
+  open(message = '') {
+    this.$message.textContent = message;
+    this.$overlay.classList.remove('hidden');
+    this.$username.focus();
+  }
+
+  close() {
+    this.$overlay.classList.add('hidden');
+    this.$password.value = '';
+  }
+
+  showNotice(text) {
+    this.$notice.textContent = text;
+    this.$notice.classList.remove('hidden');
+    clearTimeout(this.noticeTimer);
+    this.noticeTimer = setTimeout(() => this.$notice.classList.add('hidden'), 4000);
+  }
+
+  handleAuthError(status, message) {
+    if (status === 401) {
+      this.setUser(null);
+      this.open('Sign in to control the pool');
+    } else {
+      this.showNotice(message || 'You do not have permission to do that');
+    }
+  }
+
+  async login() {
+    this.$message.textContent = '';
+    try {
+      const r = await fetch(`${API}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: this.$username.value, password: this.$password.value })
+      });
+      const j = await r.json();
+      if (!r.ok) {
+        this.$message.textContent = j.message || 'Sign in failed';
+        return;
+      }
+      this.setUser(j.user);
+      this.close();
+    } catch (error) {
+      this.$message.textContent = 'Sign in failed';
+    }
+  }
+
+  async logout() {
+    try {
+      await fetch(`${API}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+      });
+    } catch {
+      // session is dropped locally regardless
+    }
+    this.setUser(null);
+  }
+}
+
+customElements.define('pool-login', PoolLogin);
+
+// ===== Start: initial fetch, RAF, and live updates =====
 (async () => {
   try {
     const initial = await fetchStatus();
+    lastStatus = initial;
     await applyStatus(initial);
   } catch {
-    // ignore; poller will retry
+    // ignore; the stream or poller will retry
   }
   startValveRaf();   // render loop driven by server timeline
-  pollLoop();        // keeps all clients in sync
+  connectEvents();   // keeps all clients in sync
 })();
 
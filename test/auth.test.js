@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthStore, LoginThrottle, parseCookies } = require('../auth');
+
+describe('AuthStore', () => {
+  let dir;
+  let auth;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-auth-'));
+    auth = new AuthStore(path.join(dir, 'users.json'), 60_000);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.timers.reset();
+  });
+
+  it('stores only a password hash and verifies against it', async () => {
+    await auth.createUser('alice', 'correct-horse', 'operator');
+    const saved = JSON.parse(fs.readFileSync(auth.filePath, 'utf8'));
+    assert.match(saved[0].passwordHash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.ok(!JSON.stringify(saved).includes('correct-horse'));
+
+    assert.equal((await auth.verifyPassword('alice', 'correct-horse')).role, 'operator');
+    assert.equal(await auth.verifyPassword('alice', 'wrong-horse'), null);
+    assert.equal(await auth.verifyPassword('bob', 'correct-horse'), null);
+  });
+
+  it('rejects invalid users', async () => {
+    await assert.rejects(auth.createUser('a b', 'correct-horse', 'admin'), /username must be/);
+    await assert.rejects(auth.createUser('alice', 'short', 'admin'), /at least 8 characters/);
+    await assert.rejects(auth.createUser('alice', 'correct-horse', 'root'), /role must be one of: viewer, operator, admin/);
+    await auth.createUser('alice', 'correct-horse', 'admin');
+    await assert.rejects(auth.createUser('alice', 'correct-horse', 'admin'), /User already exists: alice/);
+  });
+
+  it('expires sessions and ends the others on a password change', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    await auth.createUser('alice', 'correct-horse', 'admin');
+    const kept = auth.createSession('alice');
+    const other = auth.createSession('alice');
+
+    await auth.setPassword('alice', 'battery-staple', kept);
+    assert.equal(auth.getSessionUser(kept).username, 'alice');
+    assert.equal(auth.getSessionUser(other), null);
+
+    mock.timers.tick(60_001);
+    assert.equal(auth.getSessionUser(kept), null);
+  });
+
+  it('issues API tokens that are stored hashed and can be revoked', async () => {
+    await auth.createUser('ha', 'correct-horse', 'operator');
+    const { id, token } = auth.createToken('ha', 'Home Assistant');
+    assert.ok(!fs.readFileSync(auth.filePath, 'utf8').includes(token));
+    assert.equal(auth.verifyToken(token).username, 'ha');
+    assert.deepEqual(auth.listUsers()[0].tokens.map(t => t.name), ['Home Assistant']);
+
+    assert.equal(auth.deleteToken('ha', id), true);
+    assert.equal(auth.verifyToken(token), null);
+  });
+
+  it('drops a deleted user\'s sessions and reloads users from disk', async () => {
+    await auth.createUser('alice', 'correct-horse', 'admin');
+    await auth.createUser('bob', 'correct-horse', 'viewer');
+    const session = auth.createSession('bob');
+    auth.deleteUser('bob');
+    assert.equal(auth.getSessionUser(session), null);
+
+    const reloaded = new AuthStore(auth.filePath);
+    reloaded.load();
+    assert.deepEqual(reloaded.listUsers(), [{ username: 'alice', role: 'admin', tokens: [] }]);
+  });
+});
+
+describe('LoginThrottle', () => {
+  it('locks a client out after too many failures for the window', () => {
+    const throttle = new LoginThrottle(3, 60_000);
+    throttle.fail('10.0.0.2', 0);
+    throttle.fail('10.0.0.2', 1_000);
+    assert.equal(throttle.retryAfterMs('10.0.0.2', 1_000), 0);
+
+    throttle.fail('10.0.0.2', 2_000);
+    assert.equal(throttle.retryAfterMs('10.0.0.2', 2_000), 60_000);
+    assert.equal(throttle.retryAfterMs('10.0.0.3', 2_000), 0);
+    assert.equal(throttle.retryAfterMs('10.0.0.2', 62_000), 0);
+  });
+
+  it('forgets failures older than the window and on success', () => {
+    const throttle = new LoginThrottle(2, 60_000);
+    throttle.fail('a', 0);
+    throttle.fail('a', 61_000);
+    assert.equal(throttle.retryAfterMs('a', 61_000), 0);
+
+    throttle.succeed('a');
+    throttle.fail('a', 62_000);
+    assert.equal(throttle.retryAfterMs('a', 62_000), 0);
+  });
+
+  it('prunes expired entries', () => {
+    const throttle = new LoginThrottle(2, 60_000);
+    throttle.fail('a', 0);
+    throttle.fail('b', 120_000);
+    assert.deepEqual(Array.from(throttle.entries.keys()), ['b']);
+  });
+});
+
+describe('parseCookies', () => {
+  it('parses and decodes a cookie header', () => {
+    assert.deepEqual(parseCookies('pool_session=abc; theme=dark%20blue; junk'), { pool_session: 'abc', theme: 'dark blue' });
+    assert.deepEqual(parseCookies(undefined), {});
+  });
+});
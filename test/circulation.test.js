@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ModeConfig } = require('../modes');
+const { CirculationPlanner } = require('../circulation');
+
+const at = (day, hh, mm = 0) => new Date(2026, 0, day, hh, mm).getTime();
+const MIN = 60_000;
+
+const mode = (key, pump = 'off') => ModeConfig.fromConfig(key, {
+  name: key,
+  order: 1,
+  color: '#2bd576',
+  equipment: { pump, pumpSpeed: 'low', inflowValve: 'pool', outflowValve: 'pool', heater: 'off' },
+});
+
+// 1000 gal at one turnover a day: 100 minutes at low speed, 25 at high
+const CONFIG = {
+  volumeGallons: 1000,
+  flowGpm: { low: 10, high: 40 },
+  turnoversPerDay: 1,
+  windows: [{ start: '08:00', end: '20:00' }],
+};
+
+describe('CirculationPlanner', () => {
+  let planner;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: at(5, 9) });
+    planner = new CirculationPlanner(CONFIG);
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  // Advance the clock and fold the pump's runtime in, as the controller's loop does
+  const run = (minutes) => {
+    mock.timers.tick(minutes * MIN);
+    return planner.evaluate();
+  };
+
+  it('runs the pump in its mode until the daily quota is met', () => {
+    planner.activate(mode('auto'));
+    assert.equal(planner.pumpCall, true);
+    assert.equal(planner.applyTo(mode('auto').equipment.copy()).pump, 'on');
+    planner.record({ pump: 'on', pumpSpeed: 'low' });
+
+    assert.equal(run(99), false);
+    assert.equal(planner.getState().remainingMinutes, 1);
+    assert.equal(run(1), true);
+    assert.equal(planner.pumpCall, false);
+    assert.equal(planner.reason, 'Daily quota met');
+    assert.equal(planner.applyTo(mode('auto').equipment.copy()).pump, 'off');
+  });
+
+  it('counts runtime at each speed\'s flow, whichever mode ran the pump', () => {
+    planner.record({ pump: 'on', pumpSpeed: 'high' });
+    mock.timers.tick(10 * MIN);
+    planner.record({ pump: 'off', pumpSpeed: 'high' });
+    mock.timers.tick(10 * MIN);
+
+    const state = planner.getState();
+    assert.equal(state.gallons, 400);
+    assert.equal(state.percent, 40);
+    assert.deepEqual(state.runMinutes, { low: 0, high: 10 });
+    assert.equal(state.active, false);
+  });
+
+  it('stays off outside the windows and outside its mode', () => {
+    planner.activate(mode('spa', 'on'));
+    assert.equal(planner.pumpCall, false);
+    assert.equal(planner.reason, 'Inactive outside auto mode');
+    assert.equal(planner.applyTo(mode('spa', 'on').equipment.copy()).pump, 'on');
+
+    planner.activate(mode('auto'));
+    run(11 * 60);
+    assert.equal(planner.pumpCall, false);
+    assert.equal(planner.reason, 'Outside circulation windows');
+  });
+
+  it('splits overnight windows at midnight', () => {
+    const overnight = new CirculationPlanner({ ...CONFIG, windows: [{ start: '22:00', end: '06:00' }] });
+    assert.equal(overnight.inWindow(at(5, 23)), true);
+    assert.equal(overnight.inWindow(at(6, 5, 59)), true);
+    assert.equal(overnight.inWindow(at(6, 6)), false);
+    assert.equal(overnight.windowMinutesLeft(at(5, 21)), 2 * 60); // the quota resets at midnight
+  });
+
+  it('rolls the counters over at local midnight', () => {
+    mock.timers.setTime(at(5, 23, 30));
+    planner.record({ pump: 'on', pumpSpeed: 'low' });
+    run(60);
+
+    assert.equal(planner.day, '2026-01-06');
+    assert.deepEqual(planner.lastDay, { day: '2026-01-05', gallons: 300, turnovers: 0.3, runMinutes: { low: 30, high: 0 } });
+    assert.deepEqual(planner.runMs, { low: 30 * MIN, high: 0 });
+  });
+
+  it('restores the day\'s progress and files an older day as the last one', () => {
+    planner.restore({ day: '2026-01-05', runMs: { low: 50 * MIN, high: 0 }, lastDay: null });
+    assert.equal(planner.getState().percent, 50);
+
+    const fresh = new CirculationPlanner(CONFIG);
+    fresh.restore({ day: '2026-01-04', runMs: { low: 100 * MIN, high: 0 } });
+    assert.equal(fresh.getState().percent, 0);
+    assert.equal(fresh.lastDay.turnovers, 1);
+  });
+
+  it('validates its config', () => {
+    assert.deepEqual(CirculationPlanner.validate(CONFIG), []);
+    assert.deepEqual(CirculationPlanner.validate({ enabled: false }), []);
+    assert.deepEqual(CirculationPlanner.validate({
+      volumeGallons: 0,
+      flowGpm: { low: 10 },
+      turnoversPerDay: 11,
+      windows: [{ start: '08:00', end: '08:00' }],
+      pump: 'on',
+    }), [
+      'pump: unknown field',
+      'volumeGallons must be a positive number',
+      'flowGpm.high must be a positive number (gallons per minute)',
+      'turnoversPerDay must be a number between 0 and 10',
+      'windows[0]: start and end must differ',
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { OutputBank } = require('../output-drivers');
+const { EquipmentState, HardwareConfig, PoolController } = require('../equipment');
+
+const hardware = HardwareConfig.load(path.join(__dirname, '..', 'hardware.json'));
+const COOLDOWN_MS = 5 * 60_000;
+
+const OFF = () => new EquipmentState('off', 'low', 'pool', 'pool', 'off');
+const SPA = () => new EquipmentState('on', 'high', 'spa', 'spa', 'on');
+
+function quiet() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+}
+
+describe('PoolController interlocks', () => {
+  let bank;
+  let controller;
+
+  beforeEach(() => {
+    quiet();
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+    bank = OutputBank.mock(hardware.outputs);
+    bank.init();
+    controller = new PoolController(hardware.outputs, bank, false, { cooldownMs: COOLDOWN_MS });
+  });
+
+  afterEach(() => {
+    clearTimeout(controller.cooldownTimer);
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const levels = () => Object.fromEntries(Object.keys(hardware.outputs).map(name => [name, bank.read(name)]));
+
+  it('drives the active-low relay outputs inverted', () => {
+    controller.applyEquipmentState(new EquipmentState('on', 'low', 'spa', 'pool', 'off'));
+    assert.deepEqual(levels(), { RELAY_INFLOW: 0, RELAY_OUTFLOW: 1, PUMP: 0, PUMP_TURBO: 1, HEATER_SPA: 1 });
+    assert.deepEqual(controller.getGpioStates(), { PUMP: 1, PUMP_TURBO: 0, RELAY_INFLOW: 1, RELAY_OUTFLOW: 0, HEATER_SPA: 0 });
+  });
+
+  it('refuses the heater while the pump is off', () => {
+    const result = controller.applyEquipmentState(new EquipmentState('off', 'low', 'pool', 'pool', 'on'));
+    assert.equal(result.state.heater, 'off');
+    assert.deepEqual(result.blocked, ['Heater cannot turn on while the pump is off']);
+    assert.equal(controller.getRequestedState().heater, 'off');
+  });
+
+  it('turns the heater on after the pump and off before it', () => {
+    const driver = bank.drivers.mock;
+    controller.applyEquipmentState(SPA());
+    assert.equal(driver.writes.at(-1).output, 'HEATER_SPA');
+
+    driver.clearWrites();
+    controller.applyEquipmentState(OFF());
+    assert.equal(driver.writes[0].output, 'HEATER_SPA');
+  });
+
+  it('keeps the pump on low until the heater has cooled down', () => {
+    controller.applyEquipmentState(SPA());
+    const result = controller.applyEquipmentState(OFF());
+
+    assert.equal(result.state.heater, 'off');
+    assert.equal(result.state.pump, 'on');
+    assert.equal(result.state.pumpSpeed, 'low');
+    assert.equal(result.cooldownUntil, Date.now() + COOLDOWN_MS);
+    assert.equal(controller.getInterlockState().cooldownUntil, Date.now() + COOLDOWN_MS);
+
+    mock.timers.tick(COOLDOWN_MS);
+    assert.equal(controller.getCurrentState().pump, 'off');
+    assert.equal(controller.getInterlockState().cooldownUntil, null);
+  });
+
+  it('lets the pump stop once the cool-down is ended early', () => {
+    controller.applyEquipmentState(SPA());
+    controller.applyEquipmentState(OFF());
+    controller.endCooldown();
+
+    const result = controller.setOverride({ heater: 'off', pump: 'off' });
+    assert.equal(result.state.pump, 'off');
+    assert.equal(bank.read('PUMP'), 1);
+    assert.equal(controller.getInterlockState().cooldownUntil, null);
+  });
+
+  it('does not start a cool-down when the heater was never on', () => {
+    controller.applyEquipmentState(new EquipmentState('on', 'low', 'pool', 'pool', 'off'));
+    const result = controller.applyEquipmentState(OFF());
+    assert.equal(result.state.pump, 'off');
+    assert.equal(result.cooldownUntil, null);
+  });
+
+  it('forces override fields over the requested state until released', () => {
+    controller.applyEquipmentState(OFF());
+    controller.setOverride({ pump: 'on', pumpSpeed: 'low' });
+    assert.equal(controller.getCurrentState().pump, 'on');
+    assert.equal(controller.getRequestedState().pump, 'off');
+
+    controller.setOverride(null);
+    assert.equal(controller.getCurrentState().pump, 'off');
+  });
+
+  it('reports outputs whose write failed', () => {
+    bank.drivers.mock.read = () => null;
+    bank.drivers.mock.write = (output) => {
+      if (output.name === 'PUMP') throw new Error('stuck');
+    };
+    const result = controller.applyEquipmentState(new EquipmentState('on', 'low', 'pool', 'pool', 'off'));
+    assert.deepEqual(result.failed, ['PUMP']);
+  });
+
+  it('writes to the simulator bank in simulator mode', () => {
+    const simulatorBank = OutputBank.mock(hardware.outputs);
+    simulatorBank.init();
+    const simulated = new PoolController(hardware.outputs, bank, true, { simulatorBank });
+    simulated.applyEquipmentState(new EquipmentState('on', 'low', 'pool', 'pool', 'off'));
+    assert.equal(simulatorBank.read('PUMP'), 0);
+    assert.equal(bank.drivers.mock.writes.length, 0);
+  });
+});
+
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FreezeProtection } = require('../freeze-protection');
+
+const MIN = 60_000;
+
+describe('FreezeProtection', () => {
+  let temperatures;
+  let freeze;
+
+  beforeEach(() => {
+    temperatures = { air: 50, pool: 50 };
+    freeze = new FreezeProtection(location => temperatures[location] ?? null, {
+      thresholds: { air: 36, pool: 38 },
+      hysteresis: 3,
+      valveCycleMinutes: 15,
+      minRunMinutes: 30,
+    });
+  });
+
+  it('starts circulation when any reading reaches its threshold', () => {
+    assert.equal(freeze.evaluate(false, 0), false);
+    assert.equal(freeze.override(), null);
+
+    temperatures.air = 36;
+    assert.equal(freeze.evaluate(false, 0), true);
+    assert.deepEqual(freeze.trigger, { location: 'air', temperature: 36, threshold: 36 });
+    assert.deepEqual(freeze.override(), { pump: 'on', pumpSpeed: 'low', inflowValve: 'pool', outflowValve: 'pool' });
+  });
+
+  it('alternates the valve path every cycle', () => {
+    temperatures.pool = 35;
+    freeze.evaluate(false, 0);
+    assert.equal(freeze.evaluate(false, 14 * MIN), false);
+    assert.equal(freeze.evaluate(false, 15 * MIN), true);
+    assert.equal(freeze.override().inflowValve, 'spa');
+    freeze.evaluate(false, 30 * MIN);
+    assert.equal(freeze.override().outflowValve, 'pool');
+  });
+
+  it('stops only above the hysteresis band and after the minimum run', () => {
+    temperatures.air = 30;
+    freeze.evaluate(false, 0);
+
+    temperatures.air = 40;
+    freeze.evaluate(false, 10 * MIN);
+    assert.equal(freeze.active, true);
+    assert.equal(freeze.reason, 'Holding for minimum run of 30 min');
+
+    temperatures.air = 39;
+    freeze.evaluate(false, 40 * MIN);
+    assert.equal(freeze.active, true);
+    assert.equal(freeze.reason, 'Holding until temperatures clear the hysteresis band');
+
+    temperatures.air = 40;
+    freeze.evaluate(false, 41 * MIN);
+    assert.equal(freeze.active, false);
+    assert.equal(freeze.override(), null);
+  });
+
+  it('keeps circulating when the probes go quiet mid-freeze', () => {
+    temperatures.air = 30;
+    freeze.evaluate(false, 0);
+    temperatures = {};
+    freeze.evaluate(false, 60 * MIN);
+    assert.equal(freeze.active, true);
+    assert.equal(freeze.reason, 'No recent temperature readings; keeping circulation on');
+  });
+
+  it('does not start without readings', () => {
+    temperatures = {};
+    freeze.evaluate(false, 0);
+    assert.equal(freeze.active, false);
+    assert.equal(freeze.reason, 'No recent temperature readings');
+  });
+
+  it('yields to a maintenance lockout and when disabled', () => {
+    temperatures.air = 30;
+    freeze.evaluate(false, 0);
+    assert.equal(freeze.evaluate(true, MIN), true);
+    assert.equal(freeze.reason, 'Maintenance lockout');
+
+    const disabled = new FreezeProtection(() => 20, { enabled: false });
+    disabled.evaluate(false, 0);
+    assert.equal(disabled.active, false);
+    assert.equal(disabled.reason, 'Disabled');
+  });
+
+  it('validates its config', () => {
+    assert.deepEqual(FreezeProtection.validate({ thresholds: { air: 36 } }), []);
+    assert.deepEqual(FreezeProtection.validate({
+      enabled: 'yes',
+      thresholds: { garage: 30, pool: 'cold' },
+      hysteresis: -1,
+      pumpSpeed: 'max',
+      minRunMinutes: 0,
+    }), [
+      'enabled must be true or false',
+      'thresholds.garage: location must be one of pool, spa, heater-in, heater-out, air',
+      'thresholds.pool: must be a number (°F)',
+      'hysteresis must be a non-negative number',
+      'pumpSpeed must be one of low, high',
+      'minRunMinutes must be a positive number',
+    ]);
+  });
+});
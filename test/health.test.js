@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SystemdNotifier } = require('../health');
+
+let unixDgram = null;
+try {
+  unixDgram = require('unix-dgram');
+} catch {}
+
+// Records datagrams instead of sending them
+function fakeDgram() {
+  const lib = { sent: [] };
+  lib.createSocket = () => ({
+    send(buf, offset, length, socketPath, callback) {
+      lib.sent.push({ socketPath, message: buf.toString('utf8', offset, offset + length) });
+      callback(lib.error || undefined);
+    },
+    close() { lib.closed = true; },
+  });
+  return lib;
+}
+
+describe('SystemdNotifier', () => {
+  beforeEach(() => mock.method(console, 'error', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it('is disabled without NOTIFY_SOCKET', () => {
+    const notifier = new SystemdNotifier({}, fakeDgram());
+    notifier.notify('READY=1');
+    assert.deepEqual(notifier.getState(), { enabled: false, watchdogMs: null, lastPingAt: null, lastError: null });
+  });
+
+  it('sends the assignments as one datagram', () => {
+    const dgram = fakeDgram();
+    const notifier = new SystemdNotifier({ NOTIFY_SOCKET: '/run/systemd/notify' }, dgram);
+    notifier.notify('READY=1', 'STATUS=healthy, mode auto');
+    assert.deepEqual(dgram.sent, [{ socketPath: '/run/systemd/notify', message: 'READY=1\nSTATUS=healthy, mode auto' }]);
+
+    notifier.stop();
+    assert.equal(dgram.closed, true);
+  });
+
+  it('reports send failures', () => {
+    const dgram = fakeDgram();
+    const notifier = new SystemdNotifier({ NOTIFY_SOCKET: '/run/systemd/notify' }, dgram);
+    dgram.error = new Error('send -111');
+    notifier.notify('WATCHDOG=1');
+    assert.equal(notifier.getState().lastError, 'send -111');
+
+    dgram.error = null;
+    notifier.notify('WATCHDOG=1');
+    assert.equal(notifier.getState().lastError, null);
+  });
+
+  it('refuses abstract sockets', () => {
+    const notifier = new SystemdNotifier({ NOTIFY_SOCKET: '@/org/freedesktop/systemd1/notify' }, fakeDgram());
+    assert.equal(notifier.getState().enabled, false);
+  });
+
+  it('uses the watchdog interval only when it is meant for this process', () => {
+    const env = { NOTIFY_SOCKET: '/run/systemd/notify', WATCHDOG_USEC: '30000000' };
+    assert.equal(new SystemdNotifier(env, fakeDgram()).watchdogMs, 30_000);
+    assert.equal(new SystemdNotifier({ ...env, WATCHDOG_PID: String(process.pid) }, fakeDgram()).watchdogMs, 30_000);
+    assert.equal(new SystemdNotifier({ ...env, WATCHDOG_PID: '1' }, fakeDgram()).watchdogMs, null);
+  });
+
+  it('pings the watchdog only while alive', () => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: 1_000_000 });
+    const dgram = fakeDgram();
+    const notifier = new SystemdNotifier({ NOTIFY_SOCKET: '/run/systemd/notify', WATCHDOG_USEC: '10000000' }, dgram);
+    let alive = true;
+    notifier.startWatchdog(() => alive);
+
+    mock.timers.tick(5_000);
+    alive = false;
+    mock.timers.tick(5_000);
+    assert.deepEqual(dgram.sent.map(s => s.message), ['WATCHDOG=1']);
+    assert.equal(notifier.getState().lastPingAt, 1_005_000);
+
+    notifier.stop();
+    mock.timers.reset();
+  });
+
+  describe('over a unix datagram socket', { skip: !unixDgram && 'unix-dgram is not installed' }, () => {
+    let dir;
+    let receiver;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-notify-'));
+      receiver = unixDgram.createSocket('unix_dgram');
+      receiver.bind(path.join(dir, 'notify'));
+    });
+
+    afterEach(() => {
+      receiver.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('delivers READY=1 to the socket', async () => {
+      const received = new Promise(resolve => receiver.once('message', buf => resolve(buf.toString())));
+      const notifier = new SystemdNotifier({ NOTIFY_SOCKET: path.join(dir, 'notify') });
+      notifier.notify('READY=1', 'STATUS=listening');
+      assert.equal(await received, 'READY=1\nSTATUS=listening');
+      assert.equal(notifier.getState().lastError, null);
+      notifier.stop();
+    });
+
+    it('records an error when nothing is listening', () => {
+      const notifier = new SystemdNotifier({ NOTIFY_SOCKET: path.join(dir, 'missing') });
+      notifier.notify('READY=1');
+      assert.match(notifier.getState().lastError, /send/);
+      notifier.stop();
+    });
+  });
+});
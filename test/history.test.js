@@ -0,0 +1,57 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventHistory, HISTORY_MAX_EVENTS, HISTORY_PRUNE_TO } = require('../history');
+
+describe('EventHistory', () => {
+  const DAY_MS = 24 * 60 * 60_000;
+  let dir;
+  let history;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-history-'));
+    history = new EventHistory(path.join(dir, 'history.jsonl'), 90 * DAY_MS);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  const fill = (count, at = Date.now()) => {
+    history.events = Array.from({ length: count }, (_, i) => ({ id: i + 1, at, type: 'test' }));
+    history.nextId = count + 1;
+  };
+
+  it('appends events and reads them back', () => {
+    history.record('mode.start', { actor: 'alice', mode: 'spa' });
+    const reloaded = new EventHistory(history.filePath, 90 * DAY_MS);
+    reloaded.load();
+    assert.deepEqual(reloaded.events.map(e => [e.id, e.type, e.actor]), [[1, 'mode.start', 'alice']]);
+    assert.equal(reloaded.nextId, 2);
+  });
+
+  it('prunes to below the cap instead of rewriting on every event', () => {
+    const rewrite = mock.method(history, 'rewrite');
+    fill(HISTORY_MAX_EVENTS);
+
+    history.record('test');
+    assert.equal(history.events.length, HISTORY_PRUNE_TO);
+    assert.equal(history.events.at(-1).id, HISTORY_MAX_EVENTS + 1);
+    assert.equal(rewrite.mock.callCount(), 1);
+
+    for (let i = 0; i < 100; i++) history.record('test');
+    assert.equal(rewrite.mock.callCount(), 1);
+  });
+
+  it('drops events past the retention period', () => {
+    const now = Date.now();
+    fill(3, now - 91 * DAY_MS);
+    history.events.push({ id: 4, at: now, type: 'test' });
+    assert.equal(history.prune(now), 3);
+    assert.deepEqual(history.events.map(e => e.id), [4]);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { idempotency } = require('../idempotency');
+
+// Just enough of Express's req/res for the middleware
+function request(key, body, user = 'alice') {
+  const headers = key ? { 'Idempotency-Key': key } : {};
+  return { method: 'POST', originalUrl: '/api/v1/mode', body, user: { username: user }, get: h => headers[h] };
+}
+
+function response() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { res.statusCode = code; return res; },
+    set(name, value) { res.headers[name] = value; return res; },
+    json(body) { res.body = body; return res; },
+  });
+  return res;
+}
+
+describe('idempotency', () => {
+  let idempotent;
+  let handled;
+
+  // Run the middleware; the handler answers with `answer`, or leaves the request running when null
+  function send(req, answer = { ok: true }) {
+    const res = response();
+    idempotent(req, res, () => {
+      handled += 1;
+      if (answer) res.status(200).json(answer);
+    });
+    return res;
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    idempotent = idempotency({ ttlMs: 60_000, maxEntries: 3 });
+    handled = 0;
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  it('replays the first response for a retry with the same key and body', () => {
+    send(request('k1', { mode: 'spa' }), { ok: true, mode: 'spa' });
+    const retry = send(request('k1', { mode: 'spa' }), { ok: true, mode: 'changed' });
+
+    assert.equal(handled, 1);
+    assert.deepEqual(retry.body, { ok: true, mode: 'spa' });
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('passes requests without a key straight through', () => {
+    send(request(null, {}));
+    send(request(null, {}));
+    assert.equal(handled, 2);
+    assert.equal(idempotent.cache.size, 0);
+  });
+
+  it('refuses a reused key with a different body', () => {
+    send(request('k1', { mode: 'spa' }));
+    const res = send(request('k1', { mode: 'auto' }));
+    assert.equal(res.statusCode, 422);
+    assert.equal(handled, 1);
+  });
+
+  it('refuses a retry while the first request is still running', () => {
+    const first = send(request('k1', { mode: 'spa' }), null);
+    const retry = send(request('k1', { mode: 'spa' }));
+    assert.equal(retry.statusCode, 409);
+
+    first.status(202).json({ ok: true });
+    assert.equal(send(request('k1', { mode: 'spa' })).statusCode, 202);
+    assert.equal(handled, 1);
+  });
+
+  it('forgets a request that closed without answering', () => {
+    const first = send(request('k1', { mode: 'spa' }), null);
+    first.emit('close');
+    send(request('k1', { mode: 'spa' }));
+    assert.equal(handled, 2);
+  });
+
+  it('keeps keys per user', () => {
+    send(request('k1', { mode: 'spa' }, 'alice'));
+    send(request('k1', { mode: 'spa' }, 'bob'));
+    assert.equal(handled, 2);
+  });
+
+  it('expires entries after the TTL and caps the cache', () => {
+    send(request('k1', {}));
+    mock.timers.tick(60_001);
+    send(request('k1', {}));
+    assert.equal(handled, 2);
+
+    ['k2', 'k3', 'k4'].forEach(key => send(request(key, {})));
+    assert.deepEqual(Array.from(idempotent.cache.keys()).map(k => k.split(' ').at(-1)), ['k2', 'k3', 'k4']);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MaintenanceTracker } = require('../maintenance');
+
+const HOUR = 60 * 60_000;
+const DAY = 24 * HOUR;
+
+const TASKS = {
+  'clean-filter': { name: 'Clean filter', every: { pumpHours: 100, days: 30 } },
+  'descale-heater': { name: 'Descale heater', every: { heaterHours: 50 } },
+};
+
+describe('MaintenanceTracker', () => {
+  let dir;
+  let runtime;
+  let tracker;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 10 * DAY });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-maintenance-'));
+    runtime = { PUMP: { onMs: 0, since: 0 }, HEATER_SPA: { onMs: 0, since: 0 } };
+    tracker = new MaintenanceTracker(path.join(dir, 'maintenance-log.json'), TASKS, counter => runtime[counter]);
+    tracker.load();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.timers.reset();
+  });
+
+  it('counts new tasks from when they were first tracked', () => {
+    runtime.PUMP.onMs = 500 * HOUR;
+    const tasks = { ...TASKS, 'check-pump': { name: 'Check pump seal', every: { pumpHours: 1000 } } };
+    const added = new MaintenanceTracker(tracker.filePath, tasks, counter => runtime[counter]);
+    added.load();
+
+    const saved = JSON.parse(fs.readFileSync(tracker.filePath, 'utf8'));
+    assert.deepEqual(saved['check-pump'].runtimeMs, { PUMP: 500 * HOUR, HEATER_SPA: 0 });
+    assert.equal(added.taskState('check-pump').progress.pumpHours.used, 0);
+    assert.equal(added.taskState('clean-filter').state, 'overdue');
+  });
+
+  it('falls due at 90% of the first interval to run out and overdue past it', () => {
+    runtime.PUMP.onMs = 80 * HOUR;
+    mock.timers.tick(27 * DAY);
+    const filter = tracker.taskState('clean-filter');
+    assert.equal(filter.state, 'due');
+    assert.deepEqual(filter.progress, { pumpHours: { used: 80, limit: 100 }, days: { used: 27, limit: 30 } });
+
+    runtime.PUMP.onMs = 100 * HOUR;
+    assert.equal(tracker.taskState('clean-filter').state, 'overdue');
+    assert.deepEqual(tracker.list().map(t => t.key), ['clean-filter', 'descale-heater']);
+  });
+
+  it('restarts the intervals when a task is completed', () => {
+    runtime.HEATER_SPA.onMs = 60 * HOUR;
+    const before = tracker.complete('descale-heater', 'alice', 'new element');
+    assert.equal(before.state, 'overdue');
+
+    runtime.HEATER_SPA.onMs = 70 * HOUR;
+    const after = tracker.taskState('descale-heater');
+    assert.equal(after.state, 'ok');
+    assert.deepEqual(after.progress.heaterHours, { used: 10, limit: 50 });
+    assert.deepEqual(after.lastCompleted, { at: Date.now(), by: 'alice', note: 'new element' });
+    assert.equal(tracker.complete('nope', 'alice'), null);
+  });
+
+  it('counts from a runtime counter reset made after the completion', () => {
+    runtime.PUMP = { onMs: 90 * HOUR, since: 0 };
+    tracker.complete('clean-filter', 'alice');
+    runtime.PUMP = { onMs: 20 * HOUR, since: Date.now() + 1 };
+    assert.equal(tracker.taskState('clean-filter').progress.pumpHours.used, 20);
+  });
+
+  it('reports each due and overdue state once', () => {
+    runtime.PUMP.onMs = 95 * HOUR;
+    assert.deepEqual(tracker.checkDue().map(t => [t.key, t.state]), [['clean-filter', 'due']]);
+    assert.deepEqual(tracker.checkDue(), []);
+
+    runtime.PUMP.onMs = 100 * HOUR;
+    assert.deepEqual(tracker.checkDue().map(t => [t.key, t.state]), [['clean-filter', 'overdue']]);
+
+    tracker.complete('clean-filter', 'alice');
+    assert.deepEqual(tracker.checkDue(), []);
+    runtime.PUMP.onMs = 195 * HOUR;
+    assert.deepEqual(tracker.checkDue().map(t => t.state), ['due']);
+  });
+
+  it('validates its config', () => {
+    assert.deepEqual(MaintenanceTracker.validate({ tasks: TASKS }), []);
+    assert.deepEqual(MaintenanceTracker.validate({ tasks: [] }), ['tasks must map task keys to { name, every }']);
+    assert.deepEqual(MaintenanceTracker.validate({
+      tasks: { Filter: { name: '', every: { hours: 10, days: 0 }, due: 1 } },
+    }), [
+      'Filter: key must be lowercase words separated by dashes',
+      'Filter.due: unknown field',
+      'Filter.name must be a non-empty string',
+      'Filter.every.hours: must be one of pumpHours, heaterHours, days',
+      'Filter.every.days must be a positive number',
+    ]);
+  });
+});
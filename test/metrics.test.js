@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../metrics');
+
+describe('MetricsRegistry', () => {
+  it('renders counters per label set', () => {
+    const registry = new MetricsRegistry('pool');
+    const switches = registry.counter('mode_switches_total', 'Mode switches by result');
+    switches.inc({ mode: 'spa', result: 'complete' });
+    switches.inc({ result: 'complete', mode: 'spa' }, 2);
+    switches.inc({ mode: 'auto', result: 'error' });
+
+    assert.equal(registry.render(), [
+      '# HELP pool_mode_switches_total Mode switches by result',
+      '# TYPE pool_mode_switches_total counter',
+      'pool_mode_switches_total{mode="spa",result="complete"} 3',
+      'pool_mode_switches_total{mode="auto",result="error"} 1',
+      '',
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets with sum and count', () => {
+    const registry = new MetricsRegistry('pool');
+    const duration = registry.histogram('transition_seconds', 'Transition time', [10, 60]);
+    duration.observe({ mode: 'spa' }, 5);
+    duration.observe({ mode: 'spa' }, 45);
+    duration.observe({ mode: 'spa' }, 90);
+
+    assert.deepEqual(registry.render().trim().split('\n').slice(2), [
+      'pool_transition_seconds_bucket{mode="spa",le="10"} 1',
+      'pool_transition_seconds_bucket{mode="spa",le="60"} 2',
+      'pool_transition_seconds_bucket{mode="spa",le="+Inf"} 3',
+      'pool_transition_seconds_sum{mode="spa"} 140',
+      'pool_transition_seconds_count{mode="spa"} 3',
+    ]);
+  });
+
+  it('reads gauges when scraped and escapes label values', () => {
+    const registry = new MetricsRegistry('pool');
+    let temperature = 101.5;
+    registry.gauge('temperature_fahrenheit', 'Probe temperature', () => [
+      { labels: { location: 'spa' }, value: temperature },
+      { labels: { location: 'say "hi"\\\n' }, value: NaN },
+    ]);
+    registry.gauge('up', 'Controller running', () => [{ value: 1 }]);
+
+    temperature = 102;
+    assert.deepEqual(registry.render().trim().split('\n').filter(l => !l.startsWith('#')), [
+      'pool_temperature_fahrenheit{location="spa"} 102',
+      'pool_temperature_fahrenheit{location="say \\"hi\\"\\\\\\n"} NaN',
+      'pool_up 1',
+    ]);
+  });
+});
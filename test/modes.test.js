@@ -0,0 +1,209 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EquipmentState } = require('../equipment');
+const { ModeConfig, TransitionSequence, ModeTimer } = require('../modes');
+
+const SPA = () => new EquipmentState('on', 'high', 'spa', 'spa', 'on');
+
+function quiet() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+}
+
+describe('ModeConfig timer validation', () => {
+  const config = (timer) => ({
+    name: 'Auto',
+    order: 1,
+    color: '#2bd576',
+    equipment: { pump: 'on', pumpSpeed: 'low', inflowValve: 'pool', outflowValve: 'pool', heater: 'off' },
+    timer,
+  });
+
+  it('accepts a timer that reverts to another mode', () => {
+    assert.deepEqual(ModeConfig.validate('spa', config({ maxMinutes: 90 })), []);
+    assert.deepEqual(ModeConfig.validate('auto', config({ maxMinutes: 90, fallback: 'spa' })), []);
+  });
+
+  it('rejects a timer that would revert to its own mode', () => {
+    assert.deepEqual(ModeConfig.validate('spa', config({ maxMinutes: 90, fallback: 'spa' })), [
+      'timer.fallback must be a different mode',
+    ]);
+    assert.deepEqual(ModeConfig.validate('auto', config({ maxMinutes: 90 })), [
+      'timer.fallback is required: auto is the default timer fallback',
+    ]);
+    assert.deepEqual(ModeConfig.validate('night', config({ maxMinutes: 90 }), new Map(), 'night'), [
+      'timer.fallback is required: night is the default timer fallback',
+    ]);
+  });
+});
+
+describe('TransitionSequence', () => {
+  const SPA_STEPS = [
+    { action: 'equipment', set: { pump: 'on', pumpSpeed: 'low' }, when: { valvesMove: true }, label: 'Pump low while valves move' },
+    { action: 'valves' },
+    { action: 'waitValves' },
+    { action: 'apply' },
+  ];
+
+  // Hooks around a plain equipment state; valves arrive as soon as they are applied
+  function harness({ valvesMove = true } = {}) {
+    const applied = [];
+    let current = new EquipmentState('on', 'high', 'pool', 'pool', 'off');
+    const hooks = {
+      current: () => current.copy(),
+      final: () => SPA(),
+      apply: (state) => { current = state.copy(); applied.push(state.copy()); },
+      valvesMove: () => valvesMove,
+      valveRemainingMs: () => 0,
+      valveTravelMs: () => 30_000,
+      valvesMoving: () => false,
+      onStep: () => {},
+    };
+    return { hooks, applied };
+  }
+
+  beforeEach(() => {
+    quiet();
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('accepts the shipped spa transition', () => {
+    assert.deepEqual(TransitionSequence.validate(SPA_STEPS), []);
+  });
+
+  it('lists every problem with an invalid transition', () => {
+    const errors = TransitionSequence.validate([
+      { action: 'jump' },
+      { action: 'wait', seconds: 0 },
+      { action: 'equipment', set: { pump: 'fast' } },
+      { action: 'valves', when: { from: ['Not A Key'] } },
+    ]);
+    assert.deepEqual(errors, [
+      'transition[0].action must be one of: equipment, valves, waitValves, wait, apply',
+      'transition[1].seconds must be a number between 0 and 3600',
+      'transition[2].set.pump must be one of: on, off',
+      'transition[3].when.from must be a list of mode keys',
+    ]);
+    assert.deepEqual(TransitionSequence.validate({}), ['transition must be an array of steps']);
+  });
+
+  it('runs the steps in order', async () => {
+    const { hooks, applied } = harness();
+    const sequence = new TransitionSequence('auto', { key: 'spa', equipment: SPA(), transition: SPA_STEPS }, hooks);
+
+    assert.equal(await sequence.run(), true);
+    assert.deepEqual(applied.map(s => [s.pumpSpeed, s.inflowValve, s.heater]), [
+      ['low', 'pool', 'off'],
+      ['low', 'spa', 'off'],
+      ['high', 'spa', 'on'],
+    ]);
+  });
+
+  it('skips steps whose condition does not match', async () => {
+    const { hooks, applied } = harness({ valvesMove: false });
+    const sequence = new TransitionSequence('auto', { key: 'spa', equipment: SPA(), transition: SPA_STEPS }, hooks);
+
+    await sequence.run();
+    assert.equal(applied[0].pumpSpeed, 'high');
+    assert.equal(applied.length, 2);
+  });
+
+  it('falls back to the default transition', () => {
+    const { hooks } = harness();
+    const sequence = new TransitionSequence('auto', { key: 'spa', equipment: SPA(), transition: null }, hooks);
+    assert.deepEqual(sequence.steps, [{ action: 'apply' }, { action: 'waitValves' }]);
+  });
+
+  it('waits and estimates the time left', async () => {
+    const { hooks } = harness({ valvesMove: false });
+    const steps = [{ action: 'wait', seconds: 60 }, { action: 'apply' }];
+    const sequence = new TransitionSequence('auto', { key: 'spa', equipment: SPA(), transition: steps }, hooks);
+
+    const done = sequence.run();
+    assert.equal(sequence.getState().remainingMs, 60_000);
+    assert.equal(sequence.getState().label, 'Wait 60s');
+
+    mock.timers.tick(60_000);
+    assert.equal(await done, true);
+  });
+
+  it('stops at the current wait when aborted', async () => {
+    const { hooks, applied } = harness();
+    const steps = [{ action: 'equipment', set: { heater: 'off' } }, { action: 'wait', seconds: 600 }, { action: 'apply' }];
+    const sequence = new TransitionSequence('auto', { key: 'spa', equipment: SPA(), transition: steps }, hooks);
+
+    const done = sequence.run();
+    sequence.abort();
+    assert.equal(await done, false);
+    assert.equal(applied.length, 1);
+    assert.equal(sequence.before.pumpSpeed, 'high');
+  });
+});
+
+describe('ModeTimer', () => {
+  let expired;
+  let timer;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+    expired = [];
+    timer = new ModeTimer(t => expired.push(t));
+  });
+
+  afterEach(() => {
+    timer.clear();
+    mock.timers.reset();
+  });
+
+  it('expires into the fallback mode', () => {
+    timer.start('spa', 45, 'auto', 90);
+    assert.equal(timer.getState().remainingMs, 45 * 60_000);
+
+    mock.timers.tick(45 * 60_000);
+    assert.equal(timer.current, null);
+    assert.deepEqual(expired.map(t => [t.mode, t.fallback]), [['spa', 'auto']]);
+  });
+
+  it('extends a running timer', () => {
+    timer.start('spa', 45, 'auto', 90);
+    const extended = timer.extend(30);
+    assert.equal(extended.expiresAt, Date.now() + 75 * 60_000);
+
+    mock.timers.tick(45 * 60_000);
+    assert.equal(expired.length, 0);
+  });
+
+  it('clamps an extension at maxMinutes from now', () => {
+    timer.start('spa', 80, 'auto', 90);
+    mock.timers.tick(5 * 60_000);
+    const extended = timer.extend(30);
+    assert.equal(extended.expiresAt, Date.now() + 90 * 60_000);
+    assert.equal(timer.getState().remainingMs, 90 * 60_000);
+  });
+
+  it('refuses to extend when no timer is running', () => {
+    assert.throws(() => timer.extend(30), /No mode timer is running/);
+  });
+
+  it('expires a restored timer that has already lapsed', () => {
+    timer.set({ mode: 'spa', fallback: 'auto', startedAt: 0, expiresAt: Date.now() - 1, maxMinutes: 90 });
+    assert.equal(expired.length, 0);
+    mock.timers.tick(0);
+    assert.equal(expired.length, 1);
+  });
+
+  it('reports changes and does not fire once cleared', () => {
+    const changes = [];
+    const watched = new ModeTimer(t => expired.push(t), t => changes.push(t && t.mode));
+    watched.start('spa', 10, 'auto');
+    watched.clear();
+    mock.timers.tick(10 * 60_000);
+    assert.deepEqual(changes, ['spa', null]);
+    assert.equal(expired.length, 0);
+  });
+});
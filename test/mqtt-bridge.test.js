@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const MqttBridge = require('../mqtt-bridge');
+
+// Stands in for the "mqtt" package: one in-memory client that records what it is sent
+function fakeMqtt() {
+  const lib = { clients: [] };
+  lib.connect = (url, options) => {
+    const client = new EventEmitter();
+    Object.assign(client, {
+      url,
+      options,
+      connected: false,
+      published: [],
+      subscribed: [],
+      publish(topic, payload, opts) { client.published.push({ topic, payload, retain: opts.retain }); },
+      subscribe(topics) { client.subscribed.push(...topics); },
+      end() { client.connected = false; },
+      // Broker side: accept the connection, or deliver a message to the bridge
+      accept() { client.connected = true; client.emit('connect'); },
+      deliver(topic, payload) { client.emit('message', topic, Buffer.from(payload)); },
+      topics() { return new Map(client.published.map(p => [p.topic, p.payload])); },
+    });
+    lib.clients.push(client);
+    return client;
+  };
+  return lib;
+}
+
+function statusFixture() {
+  return {
+    mode: 'auto',
+    target: null,
+    busy: false,
+    equipment: { pump: 'on', pumpSpeed: 'low', inflowValve: 'pool', outflowValve: 'pool', heater: 'off' },
+    gpio: { PUMP: 1, PUMP_TURBO: 0, RELAY_INFLOW: 0, RELAY_OUTFLOW: 0, HEATER_SPA: 0 },
+    valves: { suction: { percent: 0, moving: false }, return: { percent: 0, moving: false } },
+    valve: { percent: 0, moving: false },
+    modes: [{ key: 'auto' }, { key: 'spa' }],
+  };
+}
+
+describe('MqttBridge', () => {
+  let lib;
+  let status;
+  let calls;
+  let bridge;
+
+  function startBridge(options = {}) {
+    bridge = new MqttBridge({
+      url: 'mqtt://broker.test',
+      mqtt: lib,
+      getStatus: () => status,
+      requestMode: (key) => calls.push(['mode', key]),
+      setEquipment: (type, state) => calls.push([type, state]),
+      ...options,
+    });
+    bridge.start();
+    return lib.clients[0];
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    lib = fakeMqtt();
+    status = statusFixture();
+    calls = [];
+  });
+
+  afterEach(() => {
+    bridge.stop();
+    mock.restoreAll();
+  });
+
+  it('connects with an offline last will', () => {
+    const client = startBridge({ prefix: 'garden/pool' });
+    assert.equal(client.url, 'mqtt://broker.test');
+    assert.deepEqual(client.options.will, { topic: 'garden/pool/availability', payload: 'offline', retain: true, qos: 1 });
+  });
+
+  it('publishes retained state and discovery on connect', () => {
+    const client = startBridge();
+    client.accept();
+
+    const topics = client.topics();
+    assert.equal(topics.get('pool/availability'), 'online');
+    assert.equal(topics.get('pool/mode'), 'auto');
+    assert.equal(topics.get('pool/equipment/pump'), 'on');
+    assert.equal(topics.get('pool/valve/suction/percent'), '0');
+    assert.equal(topics.get('pool/valve/percent'), '0');
+    assert.equal(topics.get('pool/busy'), 'false');
+    assert.ok(client.published.every(p => p.retain));
+
+    const select = JSON.parse(topics.get('homeassistant/select/pool/mode/config'));
+    assert.deepEqual(select.options, ['auto', 'spa']);
+    assert.equal(select.command_topic, 'pool/mode/set');
+    assert.ok(topics.has('homeassistant/switch/pool/heater/config'));
+  });
+
+  it('skips values that have not changed', () => {
+    const client = startBridge();
+    client.accept();
+    const count = client.published.length;
+
+    bridge.publishStatus();
+    assert.equal(client.published.length, count);
+
+    status.mode = 'spa';
+    bridge.publishStatus();
+    assert.deepEqual(client.published.slice(count).map(p => p.topic), ['pool/mode']);
+  });
+
+  it('republishes the mode select when the mode list changes', () => {
+    const client = startBridge();
+    client.accept();
+
+    status.modes.push({ key: 'night-swim' });
+    bridge.publishDiscovery();
+    const select = JSON.parse(client.topics().get('homeassistant/select/pool/mode/config'));
+    assert.deepEqual(select.options, ['auto', 'spa', 'night-swim']);
+  });
+
+  it('passes commands to the controller', () => {
+    const client = startBridge();
+    client.accept();
+    assert.deepEqual(client.subscribed, ['pool/mode/set', 'pool/equipment/+/set']);
+
+    client.deliver('pool/mode/set', 'spa\n');
+    client.deliver('pool/equipment/heater/set', 'on');
+    client.deliver('pool/equipment/jets/set', 'on');
+    assert.deepEqual(calls, [['mode', 'spa'], ['heater', 'on']]);
+  });
+
+  it('logs a failing command instead of throwing out of the message handler', () => {
+    const errors = mock.method(console, 'error', () => {});
+    const client = startBridge({
+      requestMode: () => { throw new Error('Mode auto is the timer fallback and cannot be timed'); },
+      setEquipment: () => { throw new TypeError('bad payload'); },
+    });
+    client.accept();
+
+    assert.doesNotThrow(() => client.deliver('pool/mode/set', 'auto'));
+    assert.doesNotThrow(() => client.deliver('pool/equipment/pump/set', '{'));
+    assert.deepEqual(errors.mock.calls.map(c => c.arguments.at(-1)), [
+      'Mode auto is the timer fallback and cannot be timed',
+      'bad payload',
+    ]);
+  });
+
+  it('does not subscribe to commands when read-only', () => {
+    const client = startBridge({ readOnly: true });
+    client.accept();
+    assert.deepEqual(client.subscribed, []);
+  });
+
+  it('publishes nothing while disconnected', () => {
+    const client = startBridge();
+    bridge.publishStatus();
+    bridge.publishDiscovery();
+    assert.equal(client.published.length, 0);
+  });
+
+  it('goes offline on stop', () => {
+    const client = startBridge();
+    client.accept();
+    bridge.stop();
+    assert.equal(client.published.at(-1).topic, 'pool/availability');
+    assert.equal(client.published.at(-1).payload, 'offline');
+    assert.equal(bridge.client, null);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { OutputBank, MockDriver, createDriver } = require('../output-drivers');
+
+const OUTPUTS = {
+  PUMP: { name: 'PUMP', line: 23, chip: 0, activeLow: true, driver: 'relays' },
+  HEATER_SPA: { name: 'HEATER_SPA', line: 14, chip: 0, activeLow: true, driver: 'relays' },
+  RELAY_INFLOW: { name: 'RELAY_INFLOW', line: 0, activeLow: false, driver: 'expander' },
+};
+const DRIVERS = { relays: { type: 'mock' }, expander: { type: 'mock' } };
+
+describe('OutputBank', () => {
+  let bank;
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    bank = new OutputBank(OUTPUTS, DRIVERS);
+    bank.init();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('creates one driver instance per configured driver', () => {
+    assert.deepEqual(Object.keys(bank.drivers).sort(), ['expander', 'relays']);
+    assert.ok(bank.drivers.relays instanceof MockDriver);
+    assert.equal(bank.driverFor('RELAY_INFLOW'), bank.drivers.expander);
+  });
+
+  it('drives every output to its inactive level on init', () => {
+    assert.equal(bank.read('PUMP'), 1);
+    assert.equal(bank.read('HEATER_SPA'), 1);
+    assert.equal(bank.read('RELAY_INFLOW'), 0);
+  });
+
+  it('writes raw levels and verifies them by reading back', () => {
+    assert.equal(bank.write('PUMP', 0), true);
+    assert.equal(bank.read('PUMP'), 0);
+    assert.deepEqual(bank.drivers.relays.writes.map(w => [w.output, w.level]), [['PUMP', 0]]);
+  });
+
+  it('reports a read-back mismatch', () => {
+    bank.drivers.relays.read = () => 1;
+    assert.equal(bank.write('PUMP', 0), false);
+    assert.equal(bank.drivers.relays.lastError, 'PUMP read back 1 after writing 0');
+  });
+
+  it('keeps a failing output in the driver health after another output writes fine', () => {
+    const driver = bank.drivers.relays;
+    const write = driver.write.bind(driver);
+    driver.write = (output, level) => {
+      if (output.name === 'HEATER_SPA') throw new Error('line busy');
+      write(output, level);
+    };
+
+    assert.equal(bank.write('HEATER_SPA', 0), false);
+    assert.equal(bank.write('PUMP', 0), true);
+
+    const relays = bank.health().find(d => d.driver === 'relays');
+    assert.equal(relays.ok, false);
+    assert.equal(relays.message, 'HEATER_SPA: line busy');
+    assert.deepEqual(bank.errors, { HEATER_SPA: 'HEATER_SPA: line busy' });
+
+    driver.write = write;
+    assert.equal(bank.write('HEATER_SPA', 0), true);
+    assert.equal(bank.health().find(d => d.driver === 'relays').ok, true);
+    assert.deepEqual(bank.errors, {});
+  });
+
+  it('does not let one driver clear another driver\'s error', () => {
+    bank.drivers.relays.write = () => { throw new Error('bus error'); };
+    bank.write('PUMP', 0);
+    bank.write('RELAY_INFLOW', 1);
+
+    const health = Object.fromEntries(bank.health().map(d => [d.driver, d.ok]));
+    assert.deepEqual(health, { relays: false, expander: true });
+  });
+
+  it('de-energizes every output', () => {
+    bank.write('PUMP', 0);
+    bank.write('RELAY_INFLOW', 1);
+    bank.deenergizeAll();
+    assert.equal(bank.read('PUMP'), 1);
+    assert.equal(bank.read('RELAY_INFLOW'), 0);
+  });
+
+  it('releases every driver it started when a later one fails', () => {
+    const released = [];
+    const failing = new OutputBank(OUTPUTS, DRIVERS);
+    failing.drivers.relays.release = () => released.push('relays');
+    failing.drivers.expander.init = () => { throw new Error('no expander'); };
+    failing.drivers.expander.release = () => released.push('expander');
+
+    assert.throws(() => failing.init(), /no expander/);
+    assert.deepEqual(released, ['relays', 'expander']);
+  });
+
+  it('releases what the failing driver claimed before it threw', () => {
+    const released = [];
+    const failing = new OutputBank(OUTPUTS, DRIVERS);
+    failing.drivers.relays.init = () => { throw new Error('line busy'); };
+    failing.drivers.relays.release = () => released.push('relays');
+    failing.drivers.expander.release = () => released.push('expander');
+
+    assert.throws(() => failing.init(), /line busy/);
+    assert.deepEqual(released, ['relays']);
+  });
+
+  it('builds a simulator bank with every output on one mock driver', () => {
+    const simulator = OutputBank.mock(OUTPUTS);
+    simulator.init();
+    assert.deepEqual(Object.keys(simulator.drivers), ['mock']);
+    assert.deepEqual(simulator.health()[0].outputs, ['PUMP', 'HEATER_SPA', 'RELAY_INFLOW']);
+    assert.equal(simulator.read('PUMP'), 1);
+  });
+});
+
+describe('createDriver', () => {
+  it('rejects an unknown driver type', () => {
+    assert.throws(() => createDriver('x', { type: 'serial' }), /Unknown output driver type: serial/);
+  });
+
+  it('caps the mock driver write log', () => {
+    const driver = createDriver('m', { type: 'mock', maxWrites: 2 });
+    const output = { name: 'PUMP', inactiveLevel: 0 };
+    driver.init([output]);
+    [1, 0, 1].forEach(level => driver.write(output, level));
+    assert.deepEqual(driver.writes.map(w => w.level), [0, 1]);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuntimeStats } = require('../runtime-stats');
+
+const at = (month, day, hh, mm = 0) => new Date(2026, month - 1, day, hh, mm).getTime();
+const HOUR = 60 * 60_000;
+
+describe('RuntimeStats', () => {
+  let dir;
+  let stats;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: at(1, 5, 8) });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-stats-'));
+    stats = new RuntimeStats(path.join(dir, 'stats.json'), ['PUMP', 'HEATER_SPA', 'pump.low', 'pump.high']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.timers.reset();
+  });
+
+  it('counts on-time and off-to-on cycles', () => {
+    stats.record(['PUMP', 'pump.low'], at(1, 5, 8));
+    stats.record(['PUMP', 'pump.low'], at(1, 5, 9));
+    stats.record(['PUMP', 'pump.high'], at(1, 5, 10));
+    stats.record([], at(1, 5, 11));
+
+    const { today } = stats.getState(at(1, 5, 12));
+    assert.deepEqual([today.PUMP.onMs, today.PUMP.cycles], [3 * HOUR, 1]);
+    assert.deepEqual([today['pump.low'].hours, today['pump.high'].hours], [2, 1]);
+    assert.equal(today.PUMP.on, false);
+  });
+
+  it('splits a run at local midnight and rolls up the week', () => {
+    stats.record(['HEATER_SPA'], at(1, 5, 22));
+    const state = stats.getState(at(1, 6, 1));
+
+    assert.equal(stats.days['2026-01-05'].HEATER_SPA.onMs, 2 * HOUR);
+    assert.equal(state.today.HEATER_SPA.onMs, HOUR);
+    assert.equal(state.today.HEATER_SPA.on, true);
+    assert.equal(state.week.HEATER_SPA.onMs, 3 * HOUR);
+    assert.equal(state.lifetime.HEATER_SPA.onMs, 3 * HOUR);
+  });
+
+  it('resets one lifetime counter and keeps the daily history', () => {
+    stats.record(['PUMP'], at(1, 5, 8));
+    assert.equal(stats.reset('PUMP', 'alice', at(1, 5, 10)), true);
+    assert.equal(stats.reset('JETS', 'alice'), false);
+
+    assert.deepEqual(stats.lifetimeOf('PUMP', at(1, 5, 11)), { onMs: HOUR, since: at(1, 5, 10) });
+    assert.equal(stats.lifetime.PUMP.resetBy, 'alice');
+    assert.equal(stats.rollup(1, at(1, 5, 11)).PUMP.onMs, 3 * HOUR);
+  });
+
+  it('ignores unknown counters and drops old days', () => {
+    stats.record(['JETS', 'PUMP'], at(1, 5, 8));
+    stats.record([], at(1, 5, 9));
+    assert.equal(stats.lifetime.JETS, undefined);
+
+    stats.accumulate(at(2, 15, 8));
+    assert.deepEqual(Object.keys(stats.days), []);
+    assert.equal(stats.lifetime.PUMP.onMs, HOUR);
+  });
+
+  it('saves and reloads its counters', () => {
+    stats.record(['PUMP'], at(1, 5, 8));
+    mock.timers.setTime(at(1, 5, 9));
+    stats.save();
+
+    const reloaded = new RuntimeStats(stats.filePath, stats.counters);
+    reloaded.load();
+    assert.equal(reloaded.lifetime.PUMP.onMs, HOUR);
+    assert.equal(reloaded.lifetime.PUMP.cycles, 1);
+    assert.deepEqual(reloaded.days, stats.days);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScheduleEntry, Scheduler } = require('../scheduler');
+
+// Local times; 2026-01-05 is a Monday
+const at = (day, hh, mm = 0) => new Date(2026, 0, day, hh, mm).getTime();
+const MONDAY = 1;
+
+describe('Scheduler', () => {
+  let dir;
+  let modes;
+  let requests;
+  let accept;
+  let scheduler;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-schedules-'));
+    modes = new Map([['auto', {}], ['spa', {}], ['turbo-clean', {}]]);
+    requests = [];
+    accept = true;
+    scheduler = new Scheduler(path.join(dir, 'schedules.json'), modes, (mode) => {
+      requests.push(mode);
+      return accept;
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  const tickFrom = (from, now) => {
+    scheduler.lastCheck = from;
+    scheduler.tick(now);
+  };
+
+  it('starts the mode when the start time passes', () => {
+    scheduler.create({ days: [MONDAY], start: '21:00', end: '22:00', mode: 'spa' });
+    tickFrom(at(5, 20, 59), at(5, 20, 59) + 30_000);
+    assert.deepEqual(requests, []);
+    tickFrom(at(5, 20, 59) + 30_000, at(5, 21, 0));
+    assert.deepEqual(requests, ['spa']);
+  });
+
+  it('ends a window that runs past midnight on the next day', () => {
+    scheduler.create({ days: [MONDAY], start: '22:00', end: '02:00', mode: 'spa', endMode: 'turbo-clean' });
+    tickFrom(at(6, 1, 59), at(6, 2, 0));
+    assert.deepEqual(requests, ['turbo-clean']);
+    assert.deepEqual(scheduler.getNextChange(at(5, 23, 0)), {
+      at: at(6, 2, 0), mode: 'turbo-clean', scheduleId: scheduler.list()[0].id,
+    });
+  });
+
+  it('fires only the latest of several missed events', () => {
+    scheduler.create({ days: [MONDAY], start: '21:00', end: '22:00', mode: 'spa' });
+    tickFrom(at(5, 20, 0), at(5, 23, 0));
+    assert.deepEqual(requests, ['auto']);
+  });
+
+  it('keeps a refused request pending and retries it once the controller is free', () => {
+    scheduler.create({ days: [MONDAY], start: '21:00', end: null, mode: 'spa' });
+    accept = false;
+    tickFrom(at(5, 20, 59), at(5, 21, 0));
+    assert.equal(scheduler.pending.mode, 'spa');
+
+    accept = true;
+    scheduler.retryPending();
+    assert.deepEqual(requests, ['spa', 'spa']);
+    assert.equal(scheduler.pending, null);
+
+    scheduler.retryPending();
+    assert.equal(requests.length, 2);
+  });
+
+  it('drops a pending request whose mode was deleted', () => {
+    scheduler.pending = { mode: 'spa', scheduleId: 'x' };
+    modes.delete('spa');
+    scheduler.retryPending();
+    assert.equal(scheduler.pending, null);
+    assert.deepEqual(requests, []);
+  });
+
+  it('ignores disabled schedules and other days', () => {
+    scheduler.create({ days: [MONDAY], start: '21:00', end: null, mode: 'spa', enabled: false });
+    scheduler.create({ days: [MONDAY + 1], start: '21:00', end: null, mode: 'spa' });
+    tickFrom(at(5, 20, 59), at(5, 21, 0));
+    assert.deepEqual(requests, []);
+  });
+
+  it('saves and reloads schedules', () => {
+    const entry = scheduler.create({ days: [3, 1, 3], start: '06:30', end: '07:00', mode: 'turbo-clean' });
+    const reloaded = new Scheduler(scheduler.filePath, modes, () => true);
+    reloaded.load();
+    assert.deepEqual(reloaded.get(entry.id), entry);
+    assert.deepEqual(entry.days, [1, 3]);
+  });
+});
+
+describe('ScheduleEntry.fromConfig', () => {
+  const modes = new Map([['auto', {}], ['spa', {}]]);
+
+  it('rejects invalid days, times and modes', () => {
+    const base = { days: [1], start: '21:00', end: '22:00', mode: 'spa' };
+    assert.throws(() => ScheduleEntry.fromConfig({ ...base, days: [7] }, modes), /days must be/);
+    assert.throws(() => ScheduleEntry.fromConfig({ ...base, start: '24:00' }, modes), /start must be/);
+    assert.throws(() => ScheduleEntry.fromConfig({ ...base, end: '9:00' }, modes), /end must be/);
+    assert.throws(() => ScheduleEntry.fromConfig({ ...base, mode: 'jets' }, modes), /Unknown mode: jets/);
+    assert.throws(() => ScheduleEntry.fromConfig({ ...base, endMode: 'jets' }, modes), /Unknown mode: jets/);
+  });
+
+  it('merges an update over the existing entry and keeps its id', () => {
+    const existing = ScheduleEntry.fromConfig({ days: [1], start: '21:00', end: '22:00', mode: 'spa' }, modes);
+    const updated = ScheduleEntry.fromConfig({ end: null }, modes, existing);
+    assert.equal(updated.id, existing.id);
+    assert.equal(updated.start, '21:00');
+    assert.equal(updated.end, null);
+  });
+});
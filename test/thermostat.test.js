@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ModeConfig } = require('../modes');
+const { Thermostat } = require('../thermostat');
+
+const spa = (thermostat = { setpoint: 102, hysteresis: 1 }, heater = 'on') => ModeConfig.fromConfig('spa', {
+  name: 'Spa',
+  order: 2,
+  color: '#e04f4f',
+  equipment: { pump: 'on', pumpSpeed: 'high', inflowValve: 'spa', outflowValve: 'spa', heater },
+  thermostat,
+});
+
+describe('Thermostat', () => {
+  let temperature;
+  let thermostat;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    temperature = 100;
+    thermostat = new Thermostat(() => temperature, { minOnMs: 60_000, minOffMs: 120_000 });
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  it('calls for heat below the setpoint minus hysteresis and stops at the setpoint', () => {
+    thermostat.activate(spa());
+    assert.equal(thermostat.heatingCall, true);
+
+    mock.timers.tick(60_000);
+    temperature = 101.5;
+    assert.equal(thermostat.evaluate(), false);
+    assert.equal(thermostat.heatingCall, true);
+
+    temperature = 102;
+    assert.equal(thermostat.evaluate(), true);
+    assert.equal(thermostat.heatingCall, false);
+    assert.equal(thermostat.reason, 'At or above setpoint');
+  });
+
+  it('does not restart heating inside the hysteresis band', () => {
+    temperature = 101.5;
+    thermostat.activate(spa());
+    assert.equal(thermostat.heatingCall, false);
+  });
+
+  it('holds the heater for the minimum on and off times', () => {
+    thermostat.activate(spa());
+    temperature = 103;
+    thermostat.evaluate();
+    assert.equal(thermostat.heatingCall, true);
+    assert.equal(thermostat.reason, 'Holding on for minimum on time');
+
+    mock.timers.tick(60_000);
+    thermostat.evaluate();
+    assert.equal(thermostat.heatingCall, false);
+
+    temperature = 95;
+    mock.timers.tick(119_000);
+    thermostat.evaluate();
+    assert.equal(thermostat.heatingCall, false);
+    mock.timers.tick(1_000);
+    thermostat.evaluate();
+    assert.equal(thermostat.heatingCall, true);
+  });
+
+  it('turns the heater off at once when the temperature is unknown', () => {
+    thermostat.activate(spa());
+    temperature = null;
+    thermostat.evaluate();
+    assert.equal(thermostat.heatingCall, false);
+    assert.equal(thermostat.reason, 'No recent spa temperature');
+  });
+
+  it('only controls modes with a thermostat and the heater on', () => {
+    thermostat.activate(spa(undefined, 'off'));
+    assert.equal(thermostat.mode, null);
+    thermostat.activate(spa(null));
+    assert.equal(thermostat.mode, null);
+
+    const equipment = spa(null).equipment.copy();
+    assert.equal(thermostat.applyTo(equipment).heater, 'on');
+  });
+
+  it('replaces the mode heater with the heating call', () => {
+    temperature = 102;
+    const mode = spa();
+    thermostat.activate(mode);
+    assert.equal(thermostat.applyTo(mode.equipment.copy()).heater, 'off');
+  });
+
+  it('validates and applies setpoint overrides', () => {
+    const mode = spa();
+    thermostat.activate(mode);
+    assert.throws(() => thermostat.setSetpoint(mode, 110), /setpoint must be a number between 40 and 104/);
+    assert.throws(() => thermostat.setSetpoint(spa(null), 90), /Mode spa has no thermostat/);
+
+    mock.timers.tick(60_000);
+    thermostat.setSetpoint(mode, 99);
+    assert.equal(thermostat.getSetpoint(mode), 99);
+    assert.equal(thermostat.heatingCall, false);
+    assert.equal(thermostat.getState().setpoint, 99);
+  });
+});
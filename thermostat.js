@@ -0,0 +1,124 @@
+/**
+ * Spa heater thermostat: setpoint, hysteresis and minimum on/off times.
+ */
+
+const SETPOINT_MIN = 40;
+const SETPOINT_MAX = 104;
+
+class Thermostat {
+  constructor(getTemperature, options = {}) {
+    this.getTemperature = getTemperature; // (location) => °F, or null if unknown/stale
+    this.defaultHysteresis = options.hysteresis ?? 1;
+    this.minOnMs = options.minOnMs ?? 60_000;
+    this.minOffMs = options.minOffMs ?? 120_000;
+    this.overrides = new Map();           // modeKey -> setpoint changed via the API
+    this.mode = null;                     // ModeConfig currently under thermostat control
+    this.heatingCall = false;
+    this.lastChangeMs = 0;
+    this.temperature = null;
+    this.reason = 'Thermostat inactive';
+  }
+
+  // Take control of the heater for a mode that declares a thermostat and wants heat
+  activate(modeConfig) {
+    const enabled = modeConfig && modeConfig.thermostat && modeConfig.equipment.heater === 'on';
+    this.mode = enabled ? modeConfig : null;
+    if (!this.mode) {
+      this.setCall(false, 'Thermostat inactive');
+      return;
+    }
+    this.evaluate();
+  }
+
+  getSetpoint(modeConfig = this.mode) {
+    if (!modeConfig || !modeConfig.thermostat) return null;
+    return this.overrides.get(modeConfig.key) ?? modeConfig.thermostat.setpoint;
+  }
+
+  setSetpoint(modeConfig, setpoint) {
+    if (!modeConfig.thermostat) {
+      throw new Error(`Mode ${modeConfig.key} has no thermostat`);
+    }
+    if (typeof setpoint !== 'number' || !Number.isFinite(setpoint) ||
+        setpoint < SETPOINT_MIN || setpoint > SETPOINT_MAX) {
+      throw new Error(`setpoint must be a number between ${SETPOINT_MIN} and ${SETPOINT_MAX}`);
+    }
+    this.overrides.set(modeConfig.key, setpoint);
+    if (this.mode && this.mode.key === modeConfig.key) {
+      this.evaluate();
+    }
+  }
+
+  setCall(call, reason, now = Date.now()) {
+    if (call !== this.heatingCall) {
+      this.heatingCall = call;
+      this.lastChangeMs = now;
+    }
+    this.reason = reason;
+  }
+
+  // Re-evaluate the heating call; returns true if it changed
+  evaluate(now = Date.now()) {
+    const before = this.heatingCall;
+    if (!this.mode) {
+      this.setCall(false, 'Thermostat inactive', now);
+      return before !== this.heatingCall;
+    }
+
+    const { hysteresis = this.defaultHysteresis, sensor = 'spa' } = this.mode.thermostat;
+    const setpoint = this.getSetpoint();
+    this.temperature = this.getTemperature(sensor);
+
+    // Without a reading we cannot regulate, so fail safe immediately
+    if (this.temperature === null) {
+      this.setCall(false, `No recent ${sensor} temperature`, now);
+      return before !== this.heatingCall;
+    }
+
+    let wanted = this.heatingCall;
+    if (this.heatingCall && this.temperature >= setpoint) {
+      wanted = false;
+    } else if (!this.heatingCall && this.temperature <= setpoint - hysteresis) {
+      wanted = true;
+    }
+
+    if (wanted !== this.heatingCall) {
+      const minimum = this.heatingCall ? this.minOnMs : this.minOffMs;
+      if (now - this.lastChangeMs < minimum) {
+        this.reason = `Holding ${this.heatingCall ? 'on' : 'off'} for minimum ${this.heatingCall ? 'on' : 'off'} time`;
+        return false;
+      }
+    }
+
+    this.setCall(wanted, wanted ? 'Below setpoint' : 'At or above setpoint', now);
+    return before !== this.heatingCall;
+  }
+
+  // Replace the heater field of a mode's equipment with the thermostat's decision
+  applyTo(equipmentState) {
+    if (this.mode) {
+      equipmentState.heater = this.heatingCall ? 'on' : 'off';
+    }
+    return equipmentState;
+  }
+
+  getState() {
+    return {
+      active: !!this.mode,
+      mode: this.mode ? this.mode.key : null,
+      setpoint: this.getSetpoint(),
+      hysteresis: this.mode ? (this.mode.thermostat.hysteresis ?? this.defaultHysteresis) : null,
+      sensor: this.mode ? (this.mode.thermostat.sensor || 'spa') : null,
+      temperature: this.temperature,
+      heatingCall: this.heatingCall,
+      lastChangeMs: this.lastChangeMs,
+      reason: this.reason,
+    };
+  }
+}
+
+module.exports = {
+  SETPOINT_MIN,
+  SETPOINT_MAX,
+  Thermostat,
+};